@@ -12,17 +12,6 @@ let flushTimer = null
 let userId = null
 let optedOut = false
 
-function getTotalListeners() {
-    if (typeof window.listenerCount === 'function') {
-        try {
-            return window.listenerCount()
-        } catch {
-            return 0
-        }
-    }
-    return 0
-}
-
 function setOptOut(flag) {
     optedOut = !!flag
 }
@@ -31,9 +20,6 @@ function enqueueEvent(name, data = {}) {
     if (optedOut) return
     const timestamp = new Date().toISOString()
     eventQueue.push({ name, data, userId, timestamp })
-    if (eventQueue.length > 0 && getTotalListeners() > 10) {
-        console.warn('Potential listener leak detected: more than 10 listeners registered.')
-    }
     if (eventQueue.length >= BATCH_SIZE) {
         flushQueue()
     } else if (!flushTimer) {
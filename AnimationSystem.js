@@ -0,0 +1,164 @@
+import assetmanager from './AssetManager.js';
+import {
+  eventBus,
+  Component,
+  registerComponent,
+  registerOnGameStart,
+  System,
+  SystemPhase
+} from './EntitySystem.js';
+import { Renderable } from './RenderSystem.js';
+
+/**
+ * Frame animation for sprite Renderables drawn from an atlas.
+ *
+ * AnimationSystem advances every playing Animation on the fixed Tick, so
+ * animations slow down with the time scale and stop while paused, and writes
+ * the current frame name into the entity's Renderable.
+ *
+ * Events:
+ *   ecs:AnimationComplete (CustomEvent): A 'once' animation showed its last frame.
+ *     detail.entity: Entity
+ *     detail.id: number - entity id
+ *     detail.name: string - Animation.name
+ *   ecs:AnimationLoop (CustomEvent): A 'loop' or 'pingpong' animation finished a cycle.
+ *     detail.entity, detail.id, detail.name: as above
+ */
+eventBus.defineTopic('ecs:AnimationComplete', { entity: 'object', id: 'number', name: 'string' });
+eventBus.defineTopic('ecs:AnimationLoop', { entity: 'object', id: 'number', name: 'string' });
+
+const AnimationMode = Object.freeze({
+  ONCE: 'once',
+  LOOP: 'loop',
+  PINGPONG: 'pingpong'
+});
+
+// Frames come from, in order of preference: `frames` (frame names), the
+// atlas's own animation named `sequence`, or every frame whose name starts
+// with `prefix`. Atlas-derived lists are resolved once the atlas is loaded.
+class Animation extends Component {
+  constructor(options = {}) {
+    super();
+    this.atlas = options.atlas || null;
+    this.name = options.name || '';
+    this.frames = options.frames || null;
+    this.sequence = options.sequence || null;
+    this.prefix = options.prefix || null;
+    this.fps = options.fps || 12;
+    this.mode = options.mode || AnimationMode.LOOP;
+    this.speed = options.speed != null ? options.speed : 1;
+    this.playing = options.playing != null ? options.playing : true;
+    // Destroy the entity when a 'once' animation completes (explosions, pickup flashes).
+    this.destroyOnComplete = options.destroyOnComplete || false;
+    this.frameIndex = options.frameIndex || 0;
+    this.direction = options.direction || 1;
+    this.elapsed = options.elapsed || 0;
+  }
+  static deserialize(data) {
+    return new Animation(data);
+  }
+}
+
+registerComponent('Animation', Animation);
+
+/**
+ * Restart an entity's animation, optionally switching to other frames.
+ * @param {Entity} entity
+ * @param {Object} [options] - Animation fields to change, e.g. { prefix: 'boom_', mode: 'once' }.
+ */
+function playAnimation(entity, options = {}) {
+  const animation = entity.getComponent(Animation);
+  if (!animation) {
+    console.warn(`playAnimation: entity ${entity.id} has no Animation`);
+    return;
+  }
+  if (options.frames || options.sequence || options.prefix) {
+    animation.frames = null;
+    animation.sequence = null;
+    animation.prefix = null;
+  }
+  Object.assign(animation, options);
+  animation.frameIndex = 0;
+  animation.direction = 1;
+  animation.elapsed = 0;
+  animation.playing = true;
+}
+
+class AnimationSystem extends System {
+  constructor() {
+    super([Animation, Renderable], { phase: SystemPhase.SIMULATION });
+  }
+
+  update(dt, entities) {
+    entities.forEach(entity => {
+      const animation = entity.getComponent(Animation);
+      const frames = this._resolveFrames(animation);
+      if (!frames || !frames.length) return;
+      if (animation.playing && animation.fps > 0) this._advance(entity, animation, frames.length, dt);
+      const renderable = entity.getComponent(Renderable);
+      renderable.kind = 'sprite';
+      renderable.image = animation.atlas;
+      renderable.frameName = frames[Math.min(animation.frameIndex, frames.length - 1)];
+    });
+  }
+
+  _resolveFrames(animation) {
+    if (animation.frames) return animation.frames;
+    const atlas = assetmanager.get(animation.atlas);
+    if (!atlas || typeof atlas.getFrameNames !== 'function') return null;
+    if (animation.sequence) {
+      const sequence = atlas.animations[animation.sequence];
+      if (!sequence) {
+        console.warn(`AnimationSystem: atlas "${animation.atlas}" has no animation "${animation.sequence}"`);
+        animation.sequence = null;
+        return null;
+      }
+      animation.frames = sequence;
+    } else {
+      animation.frames = atlas.getFrameNames(animation.prefix || '');
+    }
+    return animation.frames;
+  }
+
+  _advance(entity, animation, count, dt) {
+    const frameTime = 1000 / animation.fps;
+    animation.elapsed += dt * animation.speed;
+    while (animation.playing && animation.elapsed >= frameTime) {
+      animation.elapsed -= frameTime;
+      this._nextFrame(entity, animation, count);
+    }
+  }
+
+  _nextFrame(entity, animation, count) {
+    const detail = { entity, id: entity.id, name: animation.name };
+    if (animation.mode === AnimationMode.PINGPONG && count > 1) {
+      let next = animation.frameIndex + animation.direction;
+      if (next >= count || next < 0) {
+        animation.direction = -animation.direction;
+        next = animation.frameIndex + animation.direction;
+      }
+      animation.frameIndex = next;
+      if (next === 0) eventBus.emit('ecs:AnimationLoop', detail);
+      return;
+    }
+    if (animation.frameIndex + 1 < count) {
+      animation.frameIndex++;
+      return;
+    }
+    if (animation.mode === AnimationMode.ONCE) {
+      animation.playing = false;
+      eventBus.emit('ecs:AnimationComplete', detail);
+      if (animation.destroyOnComplete) this.commands.destroyEntity(entity);
+      return;
+    }
+    animation.frameIndex = 0;
+    eventBus.emit('ecs:AnimationLoop', detail);
+  }
+}
+
+const animationSystem = new AnimationSystem();
+
+const init = registerOnGameStart(animationSystem);
+
+export default animationSystem;
+export { Animation, AnimationMode, AnimationSystem, playAnimation, init };
@@ -11,12 +11,70 @@
  *   AssetError (CustomEvent): Fired when an asset fails to load or is missing in post-load check.
  *     detail.key: string - asset key
  *     detail.error: Error - error raised
+ *
+ * Atlases: a manifest entry with type 'atlas' points at a TexturePacker-style
+ * JSON frame map (hash or array "frames"). The sheet image is taken from the
+ * entry's `image` field, else from the JSON's meta.image, relative to the JSON.
+ * The cached asset is a SpriteAtlas:
+ *   { key: 'ship', type: 'atlas', url: 'ship.json' }
+ *   assetmanager.getFrame('ship', 'thrust_01')
+ */
+
+/**
+ * A sheet image plus its named frames. Frame rects are in sheet pixels;
+ * sourceW/sourceH and offsetX/offsetY restore the untrimmed size.
  */
+class SpriteAtlas {
+  constructor(image, data = {}) {
+    this.image = image;
+    this.frames = new Map();
+    this.animations = data.animations || (data.meta && data.meta.animations) || {};
+    const frames = data.frames || {};
+    const entries = Array.isArray(frames) ? frames.map(f => [f.filename, f]) : Object.entries(frames);
+    entries.forEach(([name, f]) => {
+      const rect = f.frame || f;
+      const source = f.spriteSourceSize || { x: 0, y: 0 };
+      const size = f.sourceSize || { w: rect.w, h: rect.h };
+      this.frames.set(name, {
+        name,
+        x: rect.x,
+        y: rect.y,
+        w: rect.w,
+        h: rect.h,
+        rotated: !!f.rotated,
+        offsetX: source.x,
+        offsetY: source.y,
+        sourceW: size.w,
+        sourceH: size.h
+      });
+    });
+  }
+
+  has(name) {
+    return this.frames.has(name);
+  }
+
+  getFrame(name) {
+    return this.frames.get(name) || null;
+  }
+
+  /**
+   * Frame names starting with prefix, in natural order ('boom_2' before 'boom_10').
+   * @param {string} [prefix]
+   * @returns {string[]}
+   */
+  getFrameNames(prefix = '') {
+    return Array.from(this.frames.keys())
+      .filter(name => name.startsWith(prefix))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+}
+
 class AssetManager extends EventTarget {
   constructor(options = {}) {
     super();
     this.options = {
-      basePaths: { image: 'assets/images/', audio: 'assets/audio/', json: 'assets/data/' },
+      basePaths: { image: 'assets/images/', audio: 'assets/audio/', json: 'assets/data/', atlas: 'assets/images/' },
       concurrency: 5,
       retry: 2,
       retryDelay: 1000,
@@ -45,7 +103,7 @@ class AssetManager extends EventTarget {
         if (typeof val === 'string') {
           return { key, url: val, type: this._deduceType(val) };
         }
-        return { key, url: val.url, type: val.type || this._deduceType(val.url) };
+        return { ...val, key, url: val.url, type: val.type || this._deduceType(val.url) };
       });
     }
   }
@@ -128,16 +186,32 @@ class AssetManager extends EventTarget {
       });
   }
 
-  _loadAsset({ url, type }) {
+  _loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = url;
+    });
+  }
+
+  _loadAsset({ url, type, image }) {
     const fullUrl = this.options.basePaths[type] ? this.options.basePaths[type] + url : url;
     switch (type) {
       case 'image':
-        return new Promise((resolve, reject) => {
-          const img = new Image();
-          img.onload = () => resolve(img);
-          img.onerror = reject;
-          img.src = fullUrl;
-        });
+        return this._loadImage(fullUrl);
+      case 'atlas':
+        return fetch(fullUrl)
+          .then(resp => {
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            return resp.json();
+          })
+          .then(data => {
+            const imageName = image || (data.meta && data.meta.image);
+            if (!imageName) throw new Error(`Atlas ${url} names no image`);
+            const dir = fullUrl.slice(0, fullUrl.lastIndexOf('/') + 1);
+            return this._loadImage(dir + imageName).then(img => new SpriteAtlas(img, data));
+          });
       case 'audio':
         return new Promise((resolve, reject) => {
           const audio = new Audio();
@@ -170,6 +244,16 @@ class AssetManager extends EventTarget {
     return this.cache.get(key);
   }
 
+  /**
+   * Named frame of an atlas asset, or null when either is missing.
+   * @param {string} atlasKey
+   * @param {string} frameName
+   */
+  getFrame(atlasKey, frameName) {
+    const atlas = this.cache.get(atlasKey);
+    return atlas instanceof SpriteAtlas ? atlas.getFrame(frameName) : null;
+  }
+
   release(key) {
     const count = this.refCount.get(key) || 0;
     if (count > 1) {
@@ -178,6 +262,7 @@ class AssetManager extends EventTarget {
       this.refCount.delete(key);
       const asset = this.cache.get(key);
       if (asset instanceof HTMLImageElement) asset.src = '';
+      if (asset instanceof SpriteAtlas && asset.image instanceof HTMLImageElement) asset.image.src = '';
       if (asset instanceof HTMLAudioElement) asset.src = '';
       this.cache.delete(key);
     }
@@ -198,4 +283,5 @@ class AssetManager extends EventTarget {
 }
 
 const assetmanager = new AssetManager();
-export default assetmanager;
\ No newline at end of file
+export default assetmanager;
+export { SpriteAtlas };
\ No newline at end of file
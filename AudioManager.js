@@ -1,4 +1,6 @@
 import { } from './AssetManager.js';
+import gameloopmanager from './GameLoopManager.js';
+import { eventBus } from './EventBus.js';
 
 class AudioManager {
     constructor() {
@@ -47,32 +49,32 @@ class AudioManager {
         this._setupEventListeners();
 
         // I3: resume or start music on GameStart
-        window.addEventListener('GameStart', () => {
+        gameloopmanager.on('GameStart', () => {
             if (this.audioContext && this.audioContext.state === 'suspended') {
                 this.audioContext.resume().catch(() => {});
             }
-        }, { passive: true });
+        });
 
         // I4: play spawn SFX on WaveSpawned
-        window.addEventListener('WaveSpawned', () => {
+        eventBus.on('WaveSpawned', () => {
             this.playSound('waveSpawn', { category: 'sfx' });
-        }, { passive: true });
+        });
     }
 
     _setupEventListeners() {
-        window.addEventListener('PlaySFX', e => {
+        eventBus.on('PlaySFX', e => {
             const d = e.detail || {};
             this.playSound(d.name, { loop: d.loop, volume: d.volume, category: 'sfx', onEnd: d.onEnd });
-        }, { passive: true });
+        });
 
-        window.addEventListener('PlayMusic', e => {
+        eventBus.on('PlayMusic', e => {
             const d = e.detail || {};
             this.playSound(d.name, { loop: d.loop === undefined ? true : d.loop, volume: d.volume, category: 'music', onEnd: d.onEnd });
-        }, { passive: true });
+        });
 
-        window.addEventListener('GamePause', () => this.pauseAll(), { passive: true });
-        window.addEventListener('GameResume', () => this.resumeAll(), { passive: true });
-        window.addEventListener('GameOver', () => this.stopAll(), { passive: true });
+        gameloopmanager.on('GamePause', () => this.pauseAll());
+        gameloopmanager.on('GameResume', () => this.resumeAll());
+        gameloopmanager.on('GameOver', () => this.stopAll());
     }
 
     async load(name, url, category = 'sfx') {
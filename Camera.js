@@ -0,0 +1,253 @@
+import GameLoopManager from './GameLoopManager.js';
+import rng from './RandomService.js';
+import { eventBus } from './EventBus.js';
+
+/**
+ * Maps the fixed logical playfield onto the screen.
+ *
+ * The game is simulated and drawn in a logical space of camera.width x
+ * camera.height units whatever the window size. The camera scales that space
+ * uniformly to fit #canvas-viewport and centres it, leaving letterbox bars on
+ * the longer axis. Screen coordinates are CSS pixels relative to the viewport's
+ * top-left corner, i.e. what DebugOverlay draws in; RenderSystem calls resize()
+ * whenever its canvas changes size.
+ *
+ * Screen shake is trauma based: addTrauma() raises a 0..1 trauma value that
+ * decays every Tick, and the shake strength is trauma squared, so small knocks
+ * barely move the view while big ones stack up. punchZoom() briefly zooms in
+ * and eases back. Both advance on the fixed Tick, so they freeze while paused.
+ * The HUD layer is drawn with screenTransform and never shakes.
+ *
+ * Big hits shake the camera on their own: any ecs:Collision whose impulse
+ * reaches bigHitImpulse, and losing a life.
+ */
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 600;
+
+// Smooth 1D value noise in [-1, 1]; lattice values are hashed from seed and cell.
+function latticeValue(seed, i) {
+  let h = Math.imul(seed ^ Math.imul(i, 0x27d4eb2d), 0x165667b1);
+  h ^= h >>> 15;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  return ((h >>> 0) / 4294967295) * 2 - 1;
+}
+
+function noise(seed, t) {
+  const i = Math.floor(t);
+  const f = t - i;
+  const u = f * f * (3 - 2 * f);
+  const a = latticeValue(seed, i);
+  return a + (latticeValue(seed, i + 1) - a) * u;
+}
+
+class Camera {
+  constructor(width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT) {
+    this.width = width;
+    this.height = height;
+    // World point shown at the centre of the playfield.
+    this.x = width / 2;
+    this.y = height / 2;
+    this.zoom = 1;
+    // Letterbox fit, in CSS pixels.
+    this.scale = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.viewWidth = width;
+    this.viewHeight = height;
+
+    this.trauma = 0;
+    this.traumaDecay = 1.2;      // per second
+    this.maxShakeOffset = 14;    // logical units at full trauma
+    this.maxShakeAngle = 0.05;   // radians at full trauma
+    this.shakeFrequency = 16;    // noise cells per second
+    this.punch = 0;
+    this.punchDecay = 10;        // exponential rate per second
+    this.bigHitImpulse = 400;
+
+    this.shakeX = 0;
+    this.shakeY = 0;
+    this.shakeAngle = 0;
+    this._time = 0;
+    this._seeds = [1, 2, 3];
+    // Last LivesChanged count; emitters disagree on the sign of delta.
+    this._lives = null;
+
+    this._onTick = this._onTick.bind(this);
+    this._onCollision = this._onCollision.bind(this);
+    this._onLivesChanged = this._onLivesChanged.bind(this);
+    this.reset = this.reset.bind(this);
+  }
+
+  init() {
+    GameLoopManager.on('Tick', this._onTick);
+    GameLoopManager.on('GameStart', this.reset);
+    eventBus.on('ecs:Collision', this._onCollision);
+    eventBus.on('LivesChanged', this._onLivesChanged);
+    this.reset();
+  }
+
+  destroy() {
+    GameLoopManager.off('Tick', this._onTick);
+    GameLoopManager.off('GameStart', this.reset);
+    eventBus.off('ecs:Collision', this._onCollision);
+    eventBus.off('LivesChanged', this._onLivesChanged);
+    this.reset();
+  }
+
+  // Drops any shake and zoom punch and reseeds the shake noise for the run.
+  reset() {
+    const stream = rng.stream('camera');
+    this._seeds = [stream.int(0, 0x7fffffff), stream.int(0, 0x7fffffff), stream.int(0, 0x7fffffff)];
+    this.trauma = 0;
+    this.punch = 0;
+    this._time = 0;
+    this.shakeX = 0;
+    this.shakeY = 0;
+    this.shakeAngle = 0;
+  }
+
+  /**
+   * Fit the playfield into a viewport.
+   * @param {number} viewWidth - CSS pixels
+   * @param {number} viewHeight - CSS pixels
+   */
+  resize(viewWidth, viewHeight) {
+    this.viewWidth = viewWidth;
+    this.viewHeight = viewHeight;
+    this.scale = Math.min(viewWidth / this.width, viewHeight / this.height) || 1;
+    this.offsetX = (viewWidth - this.width * this.scale) / 2;
+    this.offsetY = (viewHeight - this.height * this.scale) / 2;
+  }
+
+  /** @param {number} amount - Added to trauma, which is capped at 1. */
+  addTrauma(amount) {
+    this.trauma = Math.min(1, Math.max(0, this.trauma + amount));
+  }
+
+  /** @param {number} amount - Extra zoom, e.g. 0.05 for 5%; the strongest pending punch wins. */
+  punchZoom(amount) {
+    this.punch = Math.max(this.punch, amount);
+  }
+
+  /** Current zoom including any punch. */
+  getZoom() {
+    return this.zoom * (1 + this.punch);
+  }
+
+  /**
+   * Set ctx to draw in world units, shake and zoom included.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} [dpr=1] - Backing store scale of the canvas.
+   */
+  worldTransform(ctx, dpr = 1) {
+    const zoom = this.getZoom();
+    this.screenTransform(ctx, dpr);
+    ctx.translate(this.width / 2 + this.shakeX, this.height / 2 + this.shakeY);
+    if (this.shakeAngle) ctx.rotate(this.shakeAngle);
+    if (zoom !== 1) ctx.scale(zoom, zoom);
+    ctx.translate(-this.x, -this.y);
+  }
+
+  /**
+   * Set ctx to draw in logical playfield units without shake, for the HUD.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} [dpr=1]
+   */
+  screenTransform(ctx, dpr = 1) {
+    const s = this.scale * dpr;
+    ctx.setTransform(s, 0, 0, s, this.offsetX * dpr, this.offsetY * dpr);
+  }
+
+  /** Clip ctx to the playfield; call after one of the transforms above. */
+  clip(ctx) {
+    ctx.beginPath();
+    ctx.rect(0, 0, this.width, this.height);
+    ctx.clip();
+  }
+
+  /**
+   * @param {number} x - World units
+   * @param {number} y
+   * @param {{x: number, y: number}} [out]
+   * @returns {{x: number, y: number}} Viewport CSS pixels.
+   */
+  worldToScreen(x, y, out = {}) {
+    const zoom = this.getZoom();
+    const cos = Math.cos(this.shakeAngle);
+    const sin = Math.sin(this.shakeAngle);
+    const dx = (x - this.x) * zoom;
+    const dy = (y - this.y) * zoom;
+    const lx = this.width / 2 + this.shakeX + dx * cos - dy * sin;
+    const ly = this.height / 2 + this.shakeY + dx * sin + dy * cos;
+    out.x = this.offsetX + lx * this.scale;
+    out.y = this.offsetY + ly * this.scale;
+    return out;
+  }
+
+  /**
+   * Inverse of worldToScreen. Points over the letterbox bars map outside the playfield.
+   * @param {number} x - Viewport CSS pixels
+   * @param {number} y
+   * @param {{x: number, y: number}} [out]
+   * @returns {{x: number, y: number}} World units.
+   */
+  screenToWorld(x, y, out = {}) {
+    const zoom = this.getZoom();
+    const cos = Math.cos(this.shakeAngle);
+    const sin = Math.sin(this.shakeAngle);
+    const dx = (x - this.offsetX) / this.scale - this.width / 2 - this.shakeX;
+    const dy = (y - this.offsetY) / this.scale - this.height / 2 - this.shakeY;
+    out.x = this.x + (dx * cos + dy * sin) / zoom;
+    out.y = this.y + (-dx * sin + dy * cos) / zoom;
+    return out;
+  }
+
+  /** @returns {boolean} Whether a viewport point lies on the playfield rather than a letterbox bar. */
+  containsScreenPoint(x, y) {
+    const lx = (x - this.offsetX) / this.scale;
+    const ly = (y - this.offsetY) / this.scale;
+    return lx >= 0 && ly >= 0 && lx <= this.width && ly <= this.height;
+  }
+
+  _onTick(e) {
+    const dt = e.detail && e.detail.dt != null ? e.detail.dt / 1000 : 1 / 60;
+    this._time += dt;
+    this.trauma = Math.max(0, this.trauma - this.traumaDecay * dt);
+    this.punch = this.punch > 1e-4 ? this.punch * Math.exp(-this.punchDecay * dt) : 0;
+    const shake = this.trauma * this.trauma;
+    if (!shake) {
+      this.shakeX = 0;
+      this.shakeY = 0;
+      this.shakeAngle = 0;
+      return;
+    }
+    const t = this._time * this.shakeFrequency;
+    const [sx, sy, sa] = this._seeds;
+    this.shakeX = this.maxShakeOffset * shake * noise(sx, t);
+    this.shakeY = this.maxShakeOffset * shake * noise(sy, t);
+    this.shakeAngle = this.maxShakeAngle * shake * noise(sa, t);
+  }
+
+  _onCollision(e) {
+    const impulse = e.detail.impulse || 0;
+    if (impulse < this.bigHitImpulse) return;
+    const strength = impulse / this.bigHitImpulse;
+    this.addTrauma(Math.min(0.5, 0.2 * strength));
+    this.punchZoom(Math.min(0.06, 0.02 * strength));
+  }
+
+  _onLivesChanged(e) {
+    const lives = e.detail && e.detail.lives;
+    if (typeof lives !== 'number') return;
+    if (this._lives !== null && lives < this._lives) {
+      this.addTrauma(0.6);
+      this.punchZoom(0.08);
+    }
+    this._lives = lives;
+  }
+}
+
+const camera = new Camera();
+export default camera;
+export { Camera };
@@ -1,5 +1,6 @@
 import physicsEngine from './PhysicsEngine.js';
 import entitySystem from './EntitySystem.js';
+import camera from './Camera.js';
 import settingsmanager from './SettingsManager.js';
 import storagemanager from './StorageManager.js';
 
@@ -20,6 +21,8 @@ class DebugOverlay {
     this.boundToggle = this.toggle.bind(this);
     this.collisionListener = () => { this.collisionCount++; };
     this.elements = { viewport: null, overlay: null };
+    this._from = { x: 0, y: 0 };
+    this._to = { x: 0, y: 0 };
   }
 
   init(){
@@ -124,6 +127,11 @@ class DebugOverlay {
       `Entities: ${this.getEntityCount()}`,
       `Coll/s: ${this.collisionPerSec}`
     ];
+    const stats = physicsEngine.getStats ? physicsEngine.getStats() : null;
+    if (stats) {
+      lines.push(`Cells: ${stats.cells}`);
+      lines.push(`Pairs: ${stats.candidatePairs}`);
+    }
     if (performance.memory){
       lines.push(`Heap: ${(performance.memory.usedJSHeapSize/1024/1024).toFixed(2)}MB`);
     }
@@ -135,19 +143,18 @@ class DebugOverlay {
     ctx.fillStyle = '#0f0';
     lines.forEach((l, i) => ctx.fillText(l, padding * 2, padding + (i + 1) * lineHeight));
 
+    // Positions are in world units; map them the same way the game is drawn.
     const entities = this.getEntities();
     entities.forEach(e => {
       const p = e.position;
       const v = e.velocity;
       if (p && v){
-        const x = p.x;
-        const y = p.y;
-        const vx = v.x;
-        const vy = v.y;
         const scale = 0.5;
+        const from = camera.worldToScreen(p.x, p.y, this._from);
+        const to = camera.worldToScreen(p.x + v.x * scale, p.y + v.y * scale, this._to);
         ctx.beginPath();
-        ctx.moveTo(x, y);
-        ctx.lineTo(x + vx * scale, y + vy * scale);
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
         ctx.stroke();
       }
     });
@@ -1,25 +1,252 @@
-import { eventBus as globalEventBus } from './EventBus.js';
+import { eventBus } from './EventBus.js';
+import GameLoopManager from './GameLoopManager.js';
+import storagemanager from './StorageManager.js';
+import assetmanager from './AssetManager.js';
 
-class EventBus extends EventTarget {
-  on(type, listener) {
-    this.addEventListener(type, listener, { passive: true });
+eventBus.defineTopic('ecs:EntityCreated', { entity: 'object', id: 'number', generation: 'number' });
+eventBus.defineTopic('ecs:EntityDestroyed', { entity: 'object', id: 'number', generation: 'number' });
+eventBus.defineTopic('ecs:ComponentAdded', { entity: 'object', id: 'number', type: 'string', component: 'object' });
+eventBus.defineTopic('ecs:ComponentRemoved', { entity: 'object', id: 'number', type: 'string' });
+eventBus.defineTopic('ecs:WorldRestored', { entityCount: 'number' });
+eventBus.defineTopic('ecs:EntitySpawned', { entity: 'object', id: 'number', blueprint: 'string' });
+
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_STORAGE_KEY = 'ecsSnapshot';
+const BLUEPRINT_ASSET_KEY = 'blueprints';
+
+class Component {}
+
+// Maps stable names to component classes so snapshots survive minification
+// and reloads. Hooks default to a JSON copy of the component's own fields;
+// a class can instead provide static serialize(component) / deserialize(data),
+// or registerComponent() can be given serialize/deserialize options.
+const componentRegistry = {
+  byName: new Map(),
+  byClass: new Map(),
+  getName(CompClass) {
+    const entry = this.byClass.get(CompClass);
+    return entry ? entry.name : null;
+  },
+  getClass(name) {
+    const entry = this.byName.get(name);
+    return entry ? entry.CompClass : null;
+  },
+  serialize(component) {
+    const entry = this.byClass.get(component.constructor);
+    return entry.serialize(component);
+  },
+  deserialize(name, data) {
+    const entry = this.byName.get(name);
+    return entry ? entry.deserialize(data) : null;
   }
-  off(type, listener) {
-    this.removeEventListener(type, listener);
+};
+
+function registerComponent(name, CompClass, options = {}) {
+  const existing = componentRegistry.byName.get(name);
+  if (existing && existing.CompClass !== CompClass) {
+    console.warn(`registerComponent: "${name}" already registered to ${existing.CompClass.name}`);
+    return;
   }
-  emit(type, detail = {}) {
-    this.dispatchEvent(new CustomEvent(type, { detail }));
+  const entry = {
+    name,
+    CompClass,
+    serialize: options.serialize
+      || (typeof CompClass.serialize === 'function' ? c => CompClass.serialize(c) : c => JSON.parse(JSON.stringify(c))),
+    deserialize: options.deserialize
+      || (typeof CompClass.deserialize === 'function' ? d => CompClass.deserialize(d) : d => Object.assign(new CompClass(), d))
+  };
+  componentRegistry.byName.set(name, entry);
+  componentRegistry.byClass.set(CompClass, entry);
+}
+
+// Built-in components shared by physics, rendering and gameplay systems.
+
+// Position in world units; angle in radians, 0 facing +x.
+class Transform extends Component {
+  constructor(x = 0, y = 0, angle = 0) {
+    super();
+    this.x = x;
+    this.y = y;
+    this.angle = angle;
   }
 }
 
-const eventBus = new EventBus();
+// Units per second; angular in radians per second.
+class Velocity extends Component {
+  constructor(x = 0, y = 0, angular = 0) {
+    super();
+    this.x = x;
+    this.y = y;
+    this.angular = angular;
+  }
+}
 
-class Component {}
+registerComponent('Transform', Transform);
+registerComponent('Velocity', Velocity);
+
+// Stable numeric ids for component classes, used to build archetype keys.
+const componentTypeIds = new WeakMap();
+let nextComponentTypeId = 1;
+function componentTypeId(CompClass) {
+  let id = componentTypeIds.get(CompClass);
+  if (!id) {
+    id = nextComponentTypeId++;
+    componentTypeIds.set(CompClass, id);
+  }
+  return id;
+}
+
+function archetypeKey(types) {
+  return Array.from(types, componentTypeId).sort((a, b) => a - b).join(',');
+}
+
+// All entities sharing exactly the same set of component classes.
+class Archetype {
+  constructor(key, types) {
+    this.key = key;
+    this.types = types;
+    this.entities = new Set();
+    this.queries = [];
+    this.edges = new Map();
+  }
+}
+
+// Live result set for an all/any/none filter, kept up to date by EntityManager
+// as entities move between archetypes.
+class Query {
+  constructor({ all = [], any = [], none = [] } = {}) {
+    this.all = all;
+    this.any = any;
+    this.none = none;
+    this.archetypes = [];
+    this._cache = [];
+    this._dirty = true;
+    this._onAdded = [];
+    this._onRemoved = [];
+  }
+  static key({ all = [], any = [], none = [] } = {}) {
+    return `${archetypeKey(all)}|${archetypeKey(any)}|${archetypeKey(none)}`;
+  }
+  matches(types) {
+    return this.all.every(c => types.has(c))
+      && (!this.any.length || this.any.some(c => types.has(c)))
+      && !this.none.some(c => types.has(c));
+  }
+  has(entity) {
+    return this.archetypes.includes(entity.archetype);
+  }
+  get size() {
+    return this.archetypes.reduce((n, a) => n + a.entities.size, 0);
+  }
+  // The returned array is replaced, never mutated, when membership changes,
+  // so it is safe to iterate while entities are added or destroyed.
+  toArray() {
+    if (this._dirty) {
+      const result = [];
+      this.archetypes.forEach(a => a.entities.forEach(e => result.push(e)));
+      this._cache = result;
+      this._dirty = false;
+    }
+    return this._cache;
+  }
+  onAdded(fn) {
+    this._onAdded.push(fn);
+    return () => { this._onAdded = this._onAdded.filter(f => f !== fn); };
+  }
+  onRemoved(fn) {
+    this._onRemoved.push(fn);
+    return () => { this._onRemoved = this._onRemoved.filter(f => f !== fn); };
+  }
+  _notify(hooks, entity) {
+    hooks.forEach(fn => {
+      try { fn(entity); }
+      catch (e) { console.error('Query hook error', e); }
+    });
+  }
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Recursive merge for blueprint data: objects merge, everything else
+// (arrays included) is replaced by the override.
+function mergeData(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+  const out = { ...base };
+  for (const key in override) out[key] = mergeData(base[key], override[key]);
+  return out;
+}
+
+// Named entity archetypes defined as data, usually loaded from the
+// 'blueprints' JSON asset:
+//   { "asteroidLarge": { "extends": "asteroid", "components": { "PhysicsBody": { "radius": 48 } } } }
+// Component names are the ones given to registerComponent(). A child
+// blueprint merges over its parent; setting a component to null drops it.
+// Fields a blueprint leaves out keep the component constructor's defaults.
+const blueprintRegistry = {
+  definitions: new Map(),
+  resolved: new Map(),
+  register(name, definition) {
+    if (!isPlainObject(definition)) {
+      console.warn(`Blueprints: invalid definition for "${name}"`);
+      return;
+    }
+    this.definitions.set(name, definition);
+    this.resolved.clear();
+  },
+  load(definitions) {
+    if (!isPlainObject(definitions)) {
+      console.warn('Blueprints: expected an object of blueprint definitions');
+      return;
+    }
+    for (const name in definitions) this.register(name, definitions[name]);
+  },
+  has(name) {
+    return this.definitions.has(name);
+  },
+  resolve(name, chain = []) {
+    if (this.resolved.has(name)) return this.resolved.get(name);
+    const definition = this.definitions.get(name);
+    if (!definition) return null;
+    if (chain.includes(name)) {
+      console.error(`Blueprints: inheritance cycle ${[...chain, name].join(' -> ')}`);
+      return null;
+    }
+    let components = definition.components || {};
+    if (definition.extends) {
+      if (!this.definitions.has(definition.extends)) {
+        console.error(`Blueprints: "${name}" extends unknown blueprint "${definition.extends}"`);
+        return null;
+      }
+      const parent = this.resolve(definition.extends, [...chain, name]);
+      if (!parent) return null;
+      components = mergeData(parent.components, components);
+    }
+    const blueprint = { name, components };
+    this.resolved.set(name, blueprint);
+    return blueprint;
+  },
+  clear() {
+    this.definitions.clear();
+    this.resolved.clear();
+  }
+};
 
 class Entity {
   constructor(id) {
     this.id = id;
+    // Bumped every time the object is handed out again from the pool.
+    this.generation = 0;
     this.components = new Map();
+    this.archetype = null;
+  }
+  // A handle stays comparable after this object is pooled and reused;
+  // check it with entityManager.isAlive() / resolve().
+  handle() {
+    return { id: this.id, generation: this.generation };
   }
   addComponent(component) {
     const type = component.constructor;
@@ -46,131 +273,559 @@ class EntityManager {
   constructor() {
     this.nextId = 1;
     this.entities = new Map();
-    this.componentIndex = new Map();
     this.entityPool = [];
+    this.archetypes = new Map();
+    this.queries = new Map();
+    this.rootArchetype = this._getArchetype(new Set());
+    this.commands = new CommandBuffer(this);
   }
   createEntity() {
-    let entity;
-    if (this.entityPool.length) {
-      entity = this.entityPool.pop();
-      entity.components.clear();
-      entity.id = this.nextId++;
-    } else {
-      entity = new Entity(this.nextId++);
-    }
-    this.entities.set(entity.id, entity);
+    const entity = this._allocate();
+    this._register(entity);
     return entity;
   }
   destroyEntity(entity) {
-    if (!this.entities.has(entity.id)) return;
-    entity.components.forEach((comp, CompClass) => {
-      const set = this.componentIndex.get(CompClass);
-      set && set.delete(entity);
-    });
+    if (!this.isAlive(entity)) return;
+    this._moveEntity(entity, null);
     this.entities.delete(entity.id);
     this.entityPool.push(entity);
+    eventBus.emit('ecs:EntityDestroyed', { entity, id: entity.id, generation: entity.generation });
   }
   addComponent(entity, component) {
     const CompClass = component.constructor;
     if (entity.hasComponent(CompClass)) {
       console.warn(`Entity ${entity.id} already has component ${CompClass.name}`);
+      entity.addComponent(component);
+      return;
     }
     entity.addComponent(component);
-    if (!this.componentIndex.has(CompClass)) {
-      this.componentIndex.set(CompClass, new Set());
-    }
-    this.componentIndex.get(CompClass).add(entity);
+    if (!this.isAlive(entity)) return;
+    this._moveEntity(entity, this._transition(entity.archetype, CompClass, true));
+    eventBus.emit('ecs:ComponentAdded', { entity, id: entity.id, type: CompClass.name, component });
   }
   removeComponent(entity, CompClass) {
     if (!entity.hasComponent(CompClass)) {
       console.warn(`Entity ${entity.id} does not have component ${CompClass.name}`);
+      return;
     }
     entity.removeComponent(CompClass);
-    const set = this.componentIndex.get(CompClass);
-    set && set.delete(entity);
+    if (!this.isAlive(entity)) return;
+    this._moveEntity(entity, this._transition(entity.archetype, CompClass, false));
+    eventBus.emit('ecs:ComponentRemoved', { entity, id: entity.id, type: CompClass.name });
+  }
+  /**
+   * True while the entity (or a handle taken from it) refers to a live entity.
+   * A stale handle fails once its Entity object has been destroyed or reused.
+   * @param {Entity|{id: number, generation: number}} ref
+   * @returns {boolean}
+   */
+  isAlive(ref) {
+    if (!ref) return false;
+    const entity = this.entities.get(ref.id);
+    return !!entity && entity.generation === ref.generation;
+  }
+  resolve(handle) {
+    return this.isAlive(handle) ? this.entities.get(handle.id) : null;
+  }
+  // Flushes deferred structural changes; SystemManager calls this after every phase.
+  flush() {
+    this.commands.flush();
+  }
+  _allocate() {
+    let entity;
+    if (this.entityPool.length) {
+      entity = this.entityPool.pop();
+      entity.components.clear();
+      entity.id = this.nextId++;
+      entity.generation++;
+    } else {
+      entity = new Entity(this.nextId++);
+    }
+    return entity;
+  }
+  _register(entity) {
+    this.entities.set(entity.id, entity);
+    this._moveEntity(entity, this.rootArchetype);
+    eventBus.emit('ecs:EntityCreated', { entity, id: entity.id, generation: entity.generation });
+  }
+  /**
+   * Get the persistent query for a filter. Queries are shared, so the same
+   * filter always returns the same instance.
+   * @param {{all?: Function[], any?: Function[], none?: Function[]}} filter
+   * @returns {Query}
+   */
+  query(filter) {
+    const key = Query.key(filter);
+    let query = this.queries.get(key);
+    if (!query) {
+      query = new Query(filter);
+      if (!query.all.length && !query.any.length) {
+        console.warn('EntityManager.query: filter needs at least one "all" or "any" component');
+      }
+      this.queries.set(key, query);
+      this.archetypes.forEach(archetype => {
+        if (query.matches(archetype.types)) {
+          query.archetypes.push(archetype);
+          archetype.queries.push(query);
+        }
+      });
+    }
+    return query;
   }
   getEntitiesWithComponents(compClasses) {
     if (!compClasses.length) return [];
-    const sets = compClasses.map(c => this.componentIndex.get(c) || new Set());
-    const smallest = sets.reduce((a, b) => a.size < b.size ? a : b);
-    const result = [];
-    smallest.forEach(entity => {
-      if (compClasses.every(c => entity.hasComponent(c))) {
-        result.push(entity);
+    return this.query({ all: compClasses }).toArray();
+  }
+  clear() {
+    this.commands.clear();
+    Array.from(this.entities.values()).forEach(e => this.destroyEntity(e));
+  }
+  /**
+   * Plain-JSON snapshot of every live entity. Components whose class is not
+   * registered with registerComponent() are left out with a warning.
+   * @returns {{version: number, nextId: number, entities: Array<{id: number, components: Object}>}}
+   */
+  serialize() {
+    const skipped = new Set();
+    const entities = [];
+    this.entities.forEach(entity => {
+      const components = {};
+      entity.components.forEach((component, CompClass) => {
+        const name = componentRegistry.getName(CompClass);
+        if (name) components[name] = componentRegistry.serialize(component);
+        else skipped.add(CompClass.name);
+      });
+      entities.push({ id: entity.id, components });
+    });
+    if (skipped.size) {
+      console.warn(`EntityManager.serialize: unregistered components skipped: ${Array.from(skipped).join(', ')}`);
+    }
+    return { version: SNAPSHOT_VERSION, nextId: this.nextId, entities };
+  }
+  /**
+   * Replace the world with a snapshot from serialize(). Entity ids are kept,
+   * so ids stored inside components stay valid.
+   * @param {Object} snapshot
+   * @returns {boolean} False if the snapshot was rejected.
+   */
+  deserialize(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.entities)) {
+      console.error('EntityManager.deserialize: unsupported snapshot', snapshot && snapshot.version);
+      return false;
+    }
+    this.clear();
+    let maxId = 0;
+    snapshot.entities.forEach(({ id, components }) => {
+      const entity = this._allocate();
+      entity.id = id;
+      maxId = Math.max(maxId, id);
+      this._register(entity);
+      for (const name in components) {
+        const component = componentRegistry.deserialize(name, components[name]);
+        if (component) this.addComponent(entity, component);
+        else console.warn(`EntityManager.deserialize: unknown component "${name}" on entity ${id}`);
       }
     });
-    return result;
+    this.nextId = Math.max(snapshot.nextId || 1, maxId + 1);
+    eventBus.emit('ecs:WorldRestored', { entityCount: this.entities.size });
+    return true;
+  }
+  /**
+   * Create an entity from a blueprint.
+   * @param {string} name - Blueprint name.
+   * @param {Object} [overrides] - Per-component field overrides, merged over the blueprint.
+   * @param {{deferred?: boolean}} [options] - deferred: go through the command buffer.
+   * @returns {Entity|null}
+   */
+  spawn(name, overrides = {}, { deferred = false } = {}) {
+    const blueprint = blueprintRegistry.resolve(name);
+    if (!blueprint) {
+      console.warn(`EntityManager.spawn: unknown blueprint "${name}"`);
+      return null;
+    }
+    const data = mergeData(blueprint.components, overrides);
+    const components = [];
+    for (const compName in data) {
+      if (data[compName] === null) continue;
+      // Deserialize from a copy so instances never share nested blueprint objects.
+      const component = componentRegistry.deserialize(compName, JSON.parse(JSON.stringify(data[compName])));
+      if (component) components.push(component);
+      else console.warn(`EntityManager.spawn: blueprint "${name}" uses unknown component "${compName}"`);
+    }
+    let entity;
+    if (deferred) {
+      entity = this.commands.createEntity(components);
+    } else {
+      entity = this.createEntity();
+      components.forEach(c => this.addComponent(entity, c));
+    }
+    eventBus.emit('ecs:EntitySpawned', { entity, id: entity.id, blueprint: name });
+    return entity;
+  }
+  // Persist a snapshot through StorageManager, e.g. for mid-run continue or crash recovery.
+  saveSnapshot(key = SNAPSHOT_STORAGE_KEY) {
+    storagemanager.setItem(key, this.serialize());
+    return storagemanager.commitAll();
+  }
+  loadSnapshot(key = SNAPSHOT_STORAGE_KEY) {
+    const snapshot = storagemanager.getItem(key);
+    return snapshot ? this.deserialize(snapshot) : false;
+  }
+  _getArchetype(types) {
+    const key = archetypeKey(types);
+    let archetype = this.archetypes.get(key);
+    if (!archetype) {
+      archetype = new Archetype(key, types);
+      this.archetypes.set(key, archetype);
+      this.queries.forEach(query => {
+        if (query.matches(types)) {
+          query.archetypes.push(archetype);
+          archetype.queries.push(query);
+        }
+      });
+    }
+    return archetype;
+  }
+  _transition(from, CompClass, adding) {
+    const edge = `${adding ? '+' : '-'}${componentTypeId(CompClass)}`;
+    let to = from.edges.get(edge);
+    if (!to) {
+      const types = new Set(from.types);
+      adding ? types.add(CompClass) : types.delete(CompClass);
+      to = this._getArchetype(types);
+      from.edges.set(edge, to);
+    }
+    return to;
+  }
+  _moveEntity(entity, to) {
+    const from = entity.archetype;
+    if (from === to) return;
+    const before = from ? from.queries : [];
+    const after = to ? to.queries : [];
+    if (from) from.entities.delete(entity);
+    if (to) to.entities.add(entity);
+    entity.archetype = to;
+    before.forEach(q => {
+      q._dirty = true;
+      if (!after.includes(q)) q._notify(q._onRemoved, entity);
+    });
+    after.forEach(q => {
+      q._dirty = true;
+      if (!before.includes(q)) q._notify(q._onAdded, entity);
+    });
+  }
+}
+
+// Records structural changes made while systems iterate query results and
+// applies them in order on flush(). Commands aimed at an entity that died
+// before the flush are dropped.
+class CommandBuffer {
+  constructor(entityManager) {
+    this.entityManager = entityManager;
+    this.commands = [];
+  }
+  get size() {
+    return this.commands.length;
+  }
+  // The entity is allocated now, so it can be referenced by later commands,
+  // but it only joins queries (and emits EntityCreated) on flush.
+  createEntity(components = []) {
+    const entity = this.entityManager._allocate();
+    this.commands.push({ op: 'create', entity, components });
+    return entity;
+  }
+  destroyEntity(entity) {
+    this.commands.push({ op: 'destroy', entity, generation: entity.generation });
+  }
+  addComponent(entity, component) {
+    this.commands.push({ op: 'add', entity, generation: entity.generation, component });
+  }
+  removeComponent(entity, CompClass) {
+    this.commands.push({ op: 'remove', entity, generation: entity.generation, CompClass });
+  }
+  flush() {
+    const em = this.entityManager;
+    // Commands recorded during the flush (e.g. by event listeners) run in the same pass.
+    for (let i = 0; i < this.commands.length; i++) {
+      const cmd = this.commands[i];
+      if (cmd.op === 'create') {
+        em._register(cmd.entity);
+        cmd.components.forEach(c => em.addComponent(cmd.entity, c));
+        continue;
+      }
+      if (cmd.entity.generation !== cmd.generation || !em.isAlive(cmd.entity)) continue;
+      if (cmd.op === 'destroy') em.destroyEntity(cmd.entity);
+      else if (cmd.op === 'add') em.addComponent(cmd.entity, cmd.component);
+      else if (cmd.op === 'remove') em.removeComponent(cmd.entity, cmd.CompClass);
+    }
+    this.commands = [];
   }
   clear() {
-    this.entities.forEach(e => this.destroyEntity(e));
-    this.componentIndex.clear();
+    this.commands.forEach(cmd => {
+      if (cmd.op === 'create') this.entityManager.entityPool.push(cmd.entity);
+    });
+    this.commands = [];
   }
 }
 
+// Systems run phase by phase in this order. Every phase except render runs
+// on the fixed Tick; render runs once per frame with the interpolation alpha.
+const SystemPhase = Object.freeze({
+  INPUT: 'input',
+  SIMULATION: 'simulation',
+  PHYSICS: 'physics',
+  POST_PHYSICS: 'post-physics',
+  RENDER: 'render'
+});
+const PHASE_ORDER = [
+  SystemPhase.INPUT,
+  SystemPhase.SIMULATION,
+  SystemPhase.PHYSICS,
+  SystemPhase.POST_PHYSICS,
+  SystemPhase.RENDER
+];
+
 class System {
-  constructor(componentClasses = []) {
-    this.componentClasses = componentClasses;
+  // Structural changes from update() should go through this.commands so
+  // they are applied after the phase instead of mid-iteration.
+  // Accepts a component class list (shorthand for { all }) or an all/any/none filter.
+  // options.phase: one of SystemPhase (default simulation)
+  // options.priority: lower runs earlier within a phase (default 0)
+  // options.before / options.after: system names or classes in the same phase
+  // options.runWhilePaused: keep running during a pause (default: render phase only)
+  constructor(componentClasses = [], options = {}) {
+    this.componentClasses = Array.isArray(componentClasses) ? componentClasses : (componentClasses.all || []);
+    this.filter = Array.isArray(componentClasses) ? { all: componentClasses } : componentClasses;
+    this.query = null;
+    this.name = options.name || this.constructor.name;
+    this.phase = options.phase || SystemPhase.SIMULATION;
+    this.priority = options.priority || 0;
+    this.before = options.before || [];
+    this.after = options.after || [];
+    this.runWhilePaused = options.runWhilePaused != null ? options.runWhilePaused : this.phase === SystemPhase.RENDER;
+    this.enabled = true;
+    this.commands = null;
   }
   init() {}
   update(dt, entities) {}
   teardown() {}
 }
 
+function systemRefName(ref) {
+  if (typeof ref === 'string') return ref;
+  if (typeof ref === 'function') return ref.name;
+  return ref && ref.name;
+}
+
+// Orders one phase: before/after constraints first, then priority, then registration order.
+function sortPhase(systems) {
+  const byName = new Map(systems.map(s => [s.name, s]));
+  const edges = new Map(systems.map(s => [s, new Set()]));
+  const inDegree = new Map(systems.map(s => [s, 0]));
+  const link = (from, to) => {
+    if (!from || !to || from === to || edges.get(from).has(to)) return;
+    edges.get(from).add(to);
+    inDegree.set(to, inDegree.get(to) + 1);
+  };
+  systems.forEach(s => {
+    s.before.forEach(ref => link(s, byName.get(systemRefName(ref))));
+    s.after.forEach(ref => link(byName.get(systemRefName(ref)), s));
+  });
+  const rank = (a, b) => a.priority - b.priority || systems.indexOf(a) - systems.indexOf(b);
+  const ready = systems.filter(s => inDegree.get(s) === 0).sort(rank);
+  const ordered = [];
+  while (ready.length) {
+    const next = ready.shift();
+    ordered.push(next);
+    edges.get(next).forEach(to => {
+      inDegree.set(to, inDegree.get(to) - 1);
+      if (inDegree.get(to) === 0) {
+        ready.push(to);
+        ready.sort(rank);
+      }
+    });
+  }
+  if (ordered.length < systems.length) {
+    const cyclic = systems.filter(s => !ordered.includes(s));
+    console.warn(`SystemManager: dependency cycle between ${cyclic.map(s => s.name).join(', ')}; using priority order`);
+    ordered.push(...cyclic.sort(rank));
+  }
+  return ordered;
+}
+
 class SystemManager {
   constructor(entityManager) {
     this.entityManager = entityManager;
     this.systems = [];
+    this.phases = new Map(PHASE_ORDER.map(p => [p, []]));
+    this.paused = false;
+    this._dirty = false;
   }
   registerSystem(system) {
     if (this.systems.includes(system)) return;
+    if (!this.phases.has(system.phase)) {
+      console.error(`SystemManager: unknown phase "${system.phase}" for ${system.name}`);
+      return;
+    }
+    const filter = system.filter || { all: system.componentClasses };
+    if ((filter.all && filter.all.length) || (filter.any && filter.any.length)) {
+      system.query = this.entityManager.query(filter);
+    }
+    system.commands = this.entityManager.commands;
     system.init();
     this.systems.push(system);
+    this._dirty = true;
   }
   unregisterSystem(system) {
     const idx = this.systems.indexOf(system);
     if (idx === -1) return;
     system.teardown();
     this.systems.splice(idx, 1);
+    this._dirty = true;
+  }
+  getSystem(name) {
+    return this.systems.find(s => s.name === systemRefName(name));
+  }
+  setEnabled(systemOrName, enabled) {
+    const system = typeof systemOrName === 'object' ? systemOrName : this.getSystem(systemOrName);
+    if (!system) {
+      console.warn(`SystemManager: unknown system "${systemRefName(systemOrName)}"`);
+      return;
+    }
+    system.enabled = !!enabled;
+  }
+  enableSystem(systemOrName) {
+    this.setEnabled(systemOrName, true);
+  }
+  disableSystem(systemOrName) {
+    this.setEnabled(systemOrName, false);
   }
+  setPaused(paused) {
+    this.paused = !!paused;
+  }
+  // Runs every phase up to and including post-physics.
   update(dt) {
-    this.systems.forEach(system => {
-      const entities = this.entityManager.getEntitiesWithComponents(system.componentClasses);
+    this._sort();
+    for (const phase of PHASE_ORDER) {
+      if (phase !== SystemPhase.RENDER) this._runPhase(phase, dt);
+    }
+  }
+  render(delta, alpha) {
+    this._sort();
+    this._runPhase(SystemPhase.RENDER, delta, alpha);
+  }
+  // Runs on GameOver. Every system is unregistered, so modules that own
+  // systems hand them to registerOnGameStart() to get them back next run.
+  teardownAll() {
+    this.systems.forEach(s => s.teardown());
+    this.systems = [];
+    this._dirty = true;
+  }
+  _runPhase(phase, dt, alpha) {
+    // A paused game can still be single-stepped, which should move everything.
+    const frozen = this.paused && !GameLoopManager.isStepping;
+    this.phases.get(phase).forEach(system => {
+      if (!system.enabled || (frozen && !system.runWhilePaused)) return;
+      const entities = system.query ? system.query.toArray() : [];
       try {
-        system.update(dt, entities);
+        system.update(dt, entities, alpha);
       } catch (e) {
-        console.error(`Error in system ${system.constructor.name}:`, e);
+        console.error(`Error in system ${system.name}:`, e);
       }
     });
+    this.entityManager.flush();
   }
-  teardownAll() {
-    this.systems.forEach(s => s.teardown());
-    this.systems = [];
+  _sort() {
+    if (!this._dirty) return;
+    this._dirty = false;
+    PHASE_ORDER.forEach(phase => {
+      this.phases.set(phase, sortPhase(this.systems.filter(s => s.phase === phase)));
+    });
+    this.systems.forEach(s => {
+      [...s.before, ...s.after].forEach(ref => {
+        const other = this.getSystem(ref);
+        if (other && other.phase !== s.phase) {
+          console.warn(`SystemManager: ${s.name} orders against ${other.name} across phases; phase order wins`);
+        }
+      });
+    });
   }
 }
 
 const entityManager = new EntityManager();
 const systemManager = new SystemManager(entityManager);
 
+/**
+ * Register systems on every GameStart, since GameOver tears them all down.
+ * @param {...System} systems
+ * @returns {Function} Registers them now; modules export it as their init().
+ */
+function registerOnGameStart(...systems) {
+  const register = () => systems.forEach(system => systemManager.registerSystem(system));
+  GameLoopManager.on('GameStart', register);
+  return register;
+}
+
+function loadBlueprintsFromAssets(key = BLUEPRINT_ASSET_KEY) {
+  const definitions = assetmanager.get(key);
+  if (definitions) blueprintRegistry.load(definitions);
+  return !!definitions;
+}
+
+assetmanager.addEventListener('AssetsReady', () => loadBlueprintsFromAssets());
+
+function onTick(e) {
+  systemManager.update(e.detail.dt);
+}
+
+function onRender(delta, alpha) {
+  systemManager.render(delta, alpha);
+}
+
+function onGamePause() {
+  systemManager.setPaused(true);
+}
+
+function onGameResume() {
+  systemManager.setPaused(false);
+}
+
+// The run is over: drop its systems and its entities, so the next GameStart
+// begins from an empty world.
+function onGameOver() {
+  systemManager.setPaused(false);
+  systemManager.teardownAll();
+  entityManager.clear();
+}
+
+// Handlers are module-level so init() on every GameStart never double-subscribes.
 function init() {
-  eventBus.on('Tick', e => systemManager.update(e.detail.dt));
-  eventBus.on('GameOver', () => systemManager.teardownAll());
-  eventBus.on('InputEvent', e => {
-    // TODO: route e.detail to ECS
-  });
-  eventBus.on('Collision', e => {
-    // TODO: handle collision in ECS
-  });
+  GameLoopManager.on('Tick', onTick);
+  GameLoopManager.registerRender(onRender);
+  GameLoopManager.on('GamePause', onGamePause);
+  GameLoopManager.on('GameResume', onGameResume);
+  GameLoopManager.on('GameOver', onGameOver);
   eventBus.emit('EntitySystemReady');
 }
 
-eventBus.on('GameStart', init);
+GameLoopManager.on('GameStart', init);
 
 export {
   eventBus,
   Component,
+  Transform,
+  Velocity,
+  componentRegistry,
+  registerComponent,
+  blueprintRegistry,
+  loadBlueprintsFromAssets,
   Entity,
+  Query,
+  CommandBuffer,
   entityManager,
   systemManager,
+  registerOnGameStart,
   System,
+  SystemPhase,
   init
 }
\ No newline at end of file
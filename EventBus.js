@@ -0,0 +1,203 @@
+/**
+ * EventBus is the single publish/subscribe hub shared by every manager.
+ *
+ * Topics are event names, optionally prefixed with the namespace of the
+ * subsystem that owns them ('physics:Collision', 'input:InputEvent').
+ * Listeners receive a CustomEvent whose `detail` is the payload, so handlers
+ * written for DOM events (`e => e.detail`) work unchanged.
+ *
+ * Subscription patterns:
+ *   'physics:Collision' - exactly that topic
+ *   'Collision'         - that name in any namespace (and the bare topic)
+ *   'physics:*'         - every topic in the namespace
+ *   '*'                 - every topic
+ *
+ * Legacy CustomEvents dispatched on window or document are forwarded onto
+ * the bus (see LEGACY_TOPICS), so consumers only ever subscribe here.
+ */
+const DEFAULT_MAX_LISTENERS = 10;
+
+const LEGACY_TOPICS = [
+  'AssetsReady', 'StorageReady', 'Navigate', 'InputReady', 'AnalyticsReady', 'AnalyticsError',
+  'LifeScoreReady', 'LivesChanged', 'ScoreChanged', 'HighScoreChanged', 'GainScore', 'LoseLife',
+  'WaveSpawnerReady', 'WaveSpawned', 'SpawnAsteroid', 'SpawnEnemy', 'PlaySFX', 'PlayMusic',
+  'AudioReady', 'AdRewarded', 'PurchaseSuccess', 'PurchaseFail', 'ScoreSubmitted',
+  'LeaderboardReady', 'PlayerRankReady', 'LeaderboardReset'
+];
+
+function detectDevMode() {
+  if (typeof location === 'undefined') return false;
+  return location.hostname === 'localhost'
+    || new URLSearchParams(location.search).get('debug') === '1';
+}
+
+function splitTopic(topic) {
+  const idx = topic.indexOf(':');
+  return idx === -1 ? { ns: null, name: topic } : { ns: topic.slice(0, idx), name: topic.slice(idx + 1) };
+}
+
+function checkType(value, type) {
+  if (type === 'any') return value !== undefined;
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object';
+  return typeof value === type;
+}
+
+class EventBus {
+  constructor() {
+    this.listeners = new Map();
+    this.schemas = new Map();
+    this.maxListeners = DEFAULT_MAX_LISTENERS;
+    this.devMode = detectDevMode();
+    this._leakWarned = new Set();
+  }
+
+  /**
+   * Subscribe to a topic or pattern.
+   * @param {string} pattern
+   * @param {Function} listener - Called with a CustomEvent.
+   * @returns {Function} Unsubscribe function.
+   */
+  on(pattern, listener, { once = false } = {}) {
+    if (typeof listener !== 'function') return () => {};
+    let entries = this.listeners.get(pattern);
+    if (!entries) {
+      entries = new Map();
+      this.listeners.set(pattern, entries);
+    }
+    if (!entries.has(listener)) entries.set(listener, { once });
+    this._checkLeak(pattern, entries.size);
+    return () => this.off(pattern, listener);
+  }
+
+  once(pattern, listener) {
+    return this.on(pattern, listener, { once: true });
+  }
+
+  off(pattern, listener) {
+    const entries = this.listeners.get(pattern);
+    if (!entries) return;
+    entries.delete(listener);
+    if (entries.size <= this.maxListeners) this._leakWarned.delete(pattern);
+    if (!entries.size) this.listeners.delete(pattern);
+  }
+
+  /**
+   * Publish a payload to every listener whose pattern matches the topic.
+   * @param {string} topic
+   * @param {Object} [detail]
+   */
+  emit(topic, detail = {}) {
+    if (this.devMode) this._validate(topic, detail);
+    const { ns, name } = splitTopic(topic);
+    const patterns = ns === null ? [topic, '*'] : [topic, name, `${ns}:*`, '*'];
+    let event = null;
+    for (const pattern of patterns) {
+      const entries = this.listeners.get(pattern);
+      if (!entries) continue;
+      if (!event) event = new CustomEvent(topic, { detail });
+      for (const [listener, { once }] of Array.from(entries)) {
+        if (once) this.off(pattern, listener);
+        try { listener(event); }
+        catch (e) { console.error(`EventBus: listener for "${topic}" failed`, e); }
+      }
+    }
+  }
+
+  /**
+   * Declare the payload shape of a topic. Checked on emit in dev mode only.
+   * Field types: 'number', 'string', 'boolean', 'object', 'array', 'function', 'any';
+   * a trailing '?' marks the field optional.
+   * @param {string} topic
+   * @param {Object<string, string>} schema
+   */
+  defineTopic(topic, schema) {
+    this.schemas.set(topic, schema);
+  }
+
+  setDevMode(flag) {
+    this.devMode = !!flag;
+  }
+
+  setMaxListeners(n) {
+    this.maxListeners = n;
+    this._leakWarned.clear();
+  }
+
+  /**
+   * Number of listeners that would receive the topic.
+   * @param {string} [topic] - Omit for the total across all patterns.
+   * @returns {number}
+   */
+  listenerCount(topic) {
+    if (topic === undefined) {
+      let total = 0;
+      this.listeners.forEach(entries => { total += entries.size; });
+      return total;
+    }
+    const { ns, name } = splitTopic(topic);
+    const patterns = ns === null ? [topic, '*'] : [topic, name, `${ns}:*`, '*'];
+    return patterns.reduce((sum, p) => sum + (this.listeners.get(p)?.size || 0), 0);
+  }
+
+  /**
+   * Listener counts per pattern, largest first, for leak hunting.
+   * @returns {Array<{pattern: string, count: number}>}
+   */
+  getDiagnostics() {
+    return Array.from(this.listeners, ([pattern, entries]) => ({ pattern, count: entries.size }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Forward CustomEvents fired on a legacy target onto the bus.
+   * @param {EventTarget} target
+   * @param {string[]} types
+   * @param {string} [namespace] - Prefix applied to forwarded topics.
+   * @returns {Function} Removes the bridge.
+   */
+  bridge(target, types, namespace) {
+    if (!target || typeof target.addEventListener !== 'function') return () => {};
+    const handlers = types.map(type => {
+      const topic = namespace ? `${namespace}:${type}` : type;
+      const handler = e => this.emit(topic, e.detail != null ? e.detail : {});
+      target.addEventListener(type, handler, { passive: true });
+      return [type, handler];
+    });
+    return () => handlers.forEach(([type, handler]) => target.removeEventListener(type, handler));
+  }
+
+  clear() {
+    this.listeners.clear();
+    this._leakWarned.clear();
+  }
+
+  _checkLeak(pattern, size) {
+    if (size <= this.maxListeners || this._leakWarned.has(pattern)) return;
+    this._leakWarned.add(pattern);
+    console.warn(`EventBus: possible listener leak for "${pattern}", ${size} listeners registered`);
+  }
+
+  _validate(topic, detail) {
+    const schema = this.schemas.get(topic) || this.schemas.get(splitTopic(topic).name);
+    if (!schema) return;
+    for (const field in schema) {
+      const spec = schema[field];
+      const optional = spec.endsWith('?');
+      const type = optional ? spec.slice(0, -1) : spec;
+      const value = detail ? detail[field] : undefined;
+      if (value === undefined && optional) continue;
+      if (!checkType(value, type)) {
+        console.warn(`EventBus: "${topic}" payload field "${field}" should be ${type}`, detail);
+      }
+    }
+  }
+}
+
+const eventBus = new EventBus();
+
+if (typeof window !== 'undefined') eventBus.bridge(window, LEGACY_TOPICS);
+if (typeof document !== 'undefined') eventBus.bridge(document, LEGACY_TOPICS);
+
+export default eventBus;
+export { eventBus, EventBus, LEGACY_TOPICS };
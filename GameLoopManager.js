@@ -1,6 +1,101 @@
+import { eventBus } from './EventBus.js';
+
+/**
+ * GameLoopManager drives the fixed-step simulation and per-frame rendering,
+ * and is the entry point every subsystem uses to listen for loop and lifecycle
+ * events. Events are published on the shared EventBus.
+ *
+ * Time scaling stretches game time, not the step: at a time scale of 0.5 the
+ * accumulator fills half as fast, so half as many fixed ticks run per second
+ * while each one still advances `fixedStep` milliseconds. Anything timed by
+ * ticks (update callbacks, WaveSpawner, PowerUpManager) slows down with it;
+ * render callbacks keep receiving real frame time.
+ *
+ * Render callbacks are called as fn(delta, alpha), where alpha is how far the
+ * accumulator is into the next tick (accumulatedDelta / fixedStep). Renderers
+ * blend the previous and current simulation state by alpha so motion stays
+ * smooth on displays faster than the 60 Hz simulation.
+ *
+ * Frames are requested from a pluggable scheduler. The default one wraps
+ * requestAnimationFrame and performance.now(); useManualClock() swaps in a
+ * ManualScheduler so tests and tools can drive the loop under Node with
+ * advance(ms) or runTicks(n), without a DOM.
+ *
+ * Events:
+ *   Tick (CustomEvent): Fired once per fixed simulation step, after update callbacks ran.
+ *     detail.dt: number - fixed step in milliseconds of game time
+ *     detail.tick: number - tick number since GameStart (1-based)
+ *     detail.timeScale: number - time scale the tick ran under
+ *   Frame (CustomEvent): Fired once per animation frame (also while paused), after render callbacks ran.
+ *     detail.delta: number - real milliseconds since the previous frame
+ *     detail.alpha: number - interpolation factor between the last two ticks (0..1)
+ *   TimeScaleChanged (CustomEvent): Fired when the time scale changes.
+ *     detail.timeScale: number - new time scale
+ *   GameStart, GamePause, GameResume, GameOver (CustomEvent): Lifecycle changes.
+ */
+const GameLoopEvents = Object.freeze({
+  TICK: 'Tick',
+  FRAME: 'Frame',
+  TIME_SCALE: 'TimeScaleChanged',
+  START: 'GameStart',
+  PAUSE: 'GamePause',
+  RESUME: 'GameResume',
+  OVER: 'GameOver'
+});
+
+eventBus.defineTopic(GameLoopEvents.TICK, { dt: 'number', tick: 'number', timeScale: 'number' });
+eventBus.defineTopic(GameLoopEvents.FRAME, { delta: 'number', alpha: 'number' });
+
 const updateCallbacks = new Set();
 const renderCallbacks = new Set();
 
+/**
+ * @typedef {Object} LoopScheduler
+ * @property {function(): number} now - Current time in milliseconds.
+ * @property {function(function(number)): *} request - Schedule the next frame; returns a handle.
+ * @property {function(*): void} cancel - Cancel a handle returned by request().
+ */
+
+/** @type {LoopScheduler} */
+const rafScheduler = {
+  now: () => performance.now(),
+  request: fn => requestAnimationFrame(fn),
+  cancel: id => cancelAnimationFrame(id)
+};
+
+/**
+ * Scheduler whose clock only moves when told to. Each advance() delivers
+ * at most one frame, so advance(1000) is one long frame of a second.
+ * @implements {LoopScheduler}
+ */
+class ManualScheduler {
+  constructor(startTime = 0) {
+    this.time = startTime;
+    this.pending = null;
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  request(fn) {
+    this.pending = { id: this.nextId++, fn };
+    return this.pending.id;
+  }
+
+  cancel(id) {
+    if (this.pending && this.pending.id === id) this.pending = null;
+  }
+
+  advance(ms) {
+    this.time += ms;
+    const frame = this.pending;
+    this.pending = null;
+    if (frame) frame.fn(this.time);
+  }
+}
+
 class GameLoopManager {
   constructor() {
     this.isRunning = false;
@@ -14,6 +109,11 @@ class GameLoopManager {
     this.frameCount = 0;
     this.fps = 0;
     this.fpsLastTime = 0;
+    this.timeScale = 1;
+    this.timeScaleRemaining = 0;
+    this.isStepping = false;
+    this.alpha = 0;
+    this.scheduler = rafScheduler;
     this.loop = this.loop.bind(this);
   }
 
@@ -21,35 +121,33 @@ class GameLoopManager {
     if (this.isRunning) return;
     this.isRunning = true;
     this.isPaused = false;
-    this.lastTimestamp = performance.now();
+    this.lastTimestamp = this.scheduler.now();
     this.accumulatedDelta = 0;
     this.tickCount = 0;
     this.frameCount = 0;
     this.fpsLastTime = this.lastTimestamp;
-    document.dispatchEvent(new CustomEvent('GameStart'));
-    this.rafId = requestAnimationFrame(this.loop);
+    this.emit(GameLoopEvents.START);
+    this.rafId = this.scheduler.request(this.loop);
   }
 
   loop(timestamp) {
-    if (!this.isRunning) return;
+    if (!this.isRunning && !this.isPaused) return;
     const delta = timestamp - this.lastTimestamp;
     this.lastTimestamp = timestamp;
     const clamped = Math.min(delta, this.maxDelta);
-    this.accumulatedDelta += clamped;
-
-    while (this.accumulatedDelta >= this.fixedStep) {
-      updateCallbacks.forEach(fn => {
-        try { fn(this.fixedStep); }
-        catch (e) { console.error('GameLoop update error', e); }
-      });
-      this.accumulatedDelta -= this.fixedStep;
-      this.tickCount++;
+
+    // While paused, frames keep coming so pause menus and overlays can
+    // animate, but the accumulator is frozen and no ticks run.
+    if (this.isRunning) {
+      this.accumulatedDelta += clamped * this.timeScale;
+      while (this.accumulatedDelta >= this.fixedStep) {
+        this.accumulatedDelta -= this.fixedStep;
+        this._tick();
+      }
     }
 
-    renderCallbacks.forEach(fn => {
-      try { fn(delta); }
-      catch (e) { console.error('GameLoop render error', e); }
-    });
+    this._render(delta, this.accumulatedDelta / this.fixedStep);
+    if (this.isRunning) this._expireTimeScale(clamped);
 
     this.frameCount++;
     if (timestamp - this.fpsLastTime >= 1000) {
@@ -58,41 +156,160 @@ class GameLoopManager {
       this.frameCount = 0;
     }
 
-    this.rafId = requestAnimationFrame(this.loop);
+    this.rafId = this.scheduler.request(this.loop);
   }
 
   pause() {
     if (!this.isRunning || this.isPaused) return;
     this.isPaused = true;
     this.isRunning = false;
-    if (this.rafId) cancelAnimationFrame(this.rafId);
-    document.dispatchEvent(new CustomEvent('GamePause'));
-    const viewport = document.getElementById('canvas-viewport');
-    const hud = document.getElementById('hud-container');
-    if (viewport) viewport.classList.add('is-paused');
-    if (hud) hud.classList.add('is-paused');
+    this.emit(GameLoopEvents.PAUSE);
   }
 
   resume() {
     if (this.isRunning || !this.isPaused) return;
     this.isPaused = false;
     this.isRunning = true;
-    this.lastTimestamp = performance.now();
-    this.fpsLastTime = this.lastTimestamp;
-    document.dispatchEvent(new CustomEvent('GameResume'));
-    const viewport = document.getElementById('canvas-viewport');
-    const hud = document.getElementById('hud-container');
-    if (viewport) viewport.classList.remove('is-paused');
-    if (hud) hud.classList.remove('is-paused');
-    this.rafId = requestAnimationFrame(this.loop);
+    this.emit(GameLoopEvents.RESUME);
   }
 
   stop() {
     if (!this.isRunning && !this.isPaused) return;
     this.isRunning = false;
     this.isPaused = false;
-    if (this.rafId) cancelAnimationFrame(this.rafId);
-    document.dispatchEvent(new CustomEvent('GameOver'));
+    if (this.rafId) this.scheduler.cancel(this.rafId);
+    this.emit(GameLoopEvents.OVER);
+  }
+
+  /**
+   * Replace the frame scheduler. Only allowed while the loop is stopped.
+   * @param {LoopScheduler} scheduler
+   */
+  setScheduler(scheduler) {
+    if (this.isRunning || this.isPaused) {
+      console.warn('GameLoopManager.setScheduler: stop the loop first');
+      return;
+    }
+    this.scheduler = scheduler || rafScheduler;
+  }
+
+  /**
+   * Switch to a ManualScheduler for headless, deterministic runs.
+   * @returns {ManualScheduler}
+   */
+  useManualClock(startTime = 0) {
+    this.setScheduler(new ManualScheduler(startTime));
+    return this.scheduler;
+  }
+
+  /**
+   * Move the manual clock forward by ms and run the frame that falls due.
+   * @param {number} ms
+   */
+  advance(ms) {
+    if (!(this.scheduler instanceof ManualScheduler)) {
+      console.warn('GameLoopManager.advance: requires useManualClock()');
+      return;
+    }
+    this.scheduler.advance(ms);
+  }
+
+  /**
+   * Run exactly n fixed ticks, each as its own frame, on the manual clock.
+   * Ticks only run while the loop is running, so a paused loop stays put.
+   * @param {number} n
+   */
+  runTicks(n) {
+    if (!(this.scheduler instanceof ManualScheduler)) {
+      console.warn('GameLoopManager.runTicks: requires useManualClock()');
+      return;
+    }
+    const target = this.tickCount + n;
+    while (this.isRunning && this.tickCount < target) {
+      const due = (this.fixedStep - this.accumulatedDelta) / (this.timeScale || 1);
+      // The epsilon keeps float rounding from leaving the accumulator a hair short.
+      this.scheduler.advance(Math.max(due, 0) + 1e-6);
+      if (this.timeScale === 0) break;
+    }
+  }
+
+  /**
+   * Scale the rate at which game time passes.
+   * @param {number} scale - 1 is normal speed, 0.25 is quarter-speed slow motion.
+   * @param {{duration?: number}} [options] - Real milliseconds after which the scale reverts to 1.
+   */
+  setTimeScale(scale, { duration = 0 } = {}) {
+    if (typeof scale !== 'number' || !(scale >= 0) || !isFinite(scale)) {
+      console.warn(`GameLoopManager: invalid time scale "${scale}"`);
+      return;
+    }
+    this.timeScaleRemaining = duration > 0 ? duration : 0;
+    if (scale === this.timeScale) return;
+    this.timeScale = scale;
+    this.emit(GameLoopEvents.TIME_SCALE, { timeScale: scale });
+  }
+
+  getTimeScale() {
+    return this.timeScale;
+  }
+
+  /**
+   * Advance exactly n fixed ticks while paused, then render once. For debugging.
+   * Subsystems that gate on GamePause should still run while isStepping is set.
+   * @param {number} [n=1]
+   */
+  step(n = 1) {
+    if (!this.isPaused) {
+      console.warn('GameLoopManager.step: only available while paused');
+      return;
+    }
+    this.isStepping = true;
+    try {
+      for (let i = 0; i < n; i++) this._tick();
+    } finally {
+      this.isStepping = false;
+    }
+    this._render(0, 1);
+  }
+
+  _tick() {
+    updateCallbacks.forEach(fn => {
+      try { fn(this.fixedStep); }
+      catch (e) { console.error('GameLoop update error', e); }
+    });
+    this.tickCount++;
+    this.emit(GameLoopEvents.TICK, { dt: this.fixedStep, tick: this.tickCount, timeScale: this.timeScale });
+  }
+
+  _render(delta, alpha) {
+    this.alpha = alpha;
+    renderCallbacks.forEach(fn => {
+      try { fn(delta, alpha); }
+      catch (e) { console.error('GameLoop render error', e); }
+    });
+    this.emit(GameLoopEvents.FRAME, { delta, alpha });
+  }
+
+  _expireTimeScale(realDelta) {
+    if (this.timeScaleRemaining <= 0) return;
+    this.timeScaleRemaining -= realDelta;
+    if (this.timeScaleRemaining <= 0) this.setTimeScale(1);
+  }
+
+  on(type, listener) {
+    return eventBus.on(type, listener);
+  }
+
+  once(type, listener) {
+    return eventBus.once(type, listener);
+  }
+
+  off(type, listener) {
+    eventBus.off(type, listener);
+  }
+
+  emit(type, detail = {}) {
+    eventBus.emit(type, detail);
   }
 
   registerUpdate(fn) {
@@ -124,7 +341,12 @@ class GameLoopManager {
   getTickCount() {
     return this.tickCount;
   }
+
+  getAlpha() {
+    return this.alpha;
+  }
 }
 
 const gameloopmanager = new GameLoopManager();
-export default gameloopmanager;
\ No newline at end of file
+export default gameloopmanager;
+export { GameLoopEvents, GameLoopManager, ManualScheduler, rafScheduler };
\ No newline at end of file
@@ -1,3 +1,8 @@
+import { eventBus } from './EventBus.js'
+import camera from './Camera.js'
+
+eventBus.defineTopic('input:InputEvent', { type: 'string', action: 'string', value: 'boolean', timestamp: 'number' })
+
 class InputManager {
   constructor() {
     this.keyMap = {
@@ -13,6 +18,8 @@ class InputManager {
     this.prevGamepad = {}
     this.gpLoopId = null
     this.touch = {}
+    // Last pointer position: x/y in viewport CSS pixels, worldX/worldY through the camera.
+    this.pointer = { x: 0, y: 0, worldX: 0, worldY: 0, down: false, onPlayfield: false }
     this._handleKeyDown = this._handleKeyDown.bind(this)
     this._handleKeyUp = this._handleKeyUp.bind(this)
     this._gpLoop = this._gpLoop.bind(this)
@@ -42,25 +49,21 @@ class InputManager {
     window.dispatchEvent(new CustomEvent('InputReady'))
   }
 
+  // Subscriptions live on the shared EventBus (leak warnings included);
+  // subscribers is only kept so destroy() can drop what was added here.
   on(event, cb) {
     if (!this.subscribers[event]) this.subscribers[event] = new Set()
     this.subscribers[event].add(cb)
-    // I3: Warn if subscribers[event].size exceeds 10
-    const size = this.subscribers[event].size
-    if (size > 10) {
-      console.warn(`InputManager: possible subscriber leak detected for event "${event}", ${size} listeners`)
-    }
+    eventBus.on(event, cb)
   }
 
   off(event, cb) {
     if (this.subscribers[event]) this.subscribers[event].delete(cb)
+    eventBus.off(event, cb)
   }
 
   emit(event, payload) {
-    const subs = this.subscribers[event]
-    if (subs) subs.forEach(cb => {
-      try { cb(payload) } catch (e) { console.error(e) }
-    })
+    eventBus.emit(`input:${event}`, payload)
   }
 
   getState() {
@@ -75,6 +78,7 @@ class InputManager {
     this.actionState = {}
     this.prevGamepad = {}
     this.touch = {}
+    this.pointer.down = false
   }
 
   destroy() {
@@ -88,6 +92,9 @@ class InputManager {
       canvas.removeEventListener('pointercancel', this._onPointerUp)
     }
     if (this.gpLoopId) cancelAnimationFrame(this.gpLoopId)
+    for (const event in this.subscribers) {
+      this.subscribers[event].forEach(cb => eventBus.off(event, cb))
+    }
     this.subscribers = {}
   }
 
@@ -122,7 +129,30 @@ class InputManager {
     }
   }
 
+  // Pointer events arrive in client coordinates; the camera works relative to the viewport.
+  _updatePointer(e, down) {
+    const rect = e.currentTarget && e.currentTarget.getBoundingClientRect
+      ? e.currentTarget.getBoundingClientRect()
+      : { left: 0, top: 0 }
+    const p = this.pointer
+    p.x = e.clientX - rect.left
+    p.y = e.clientY - rect.top
+    const world = camera.screenToWorld(p.x, p.y)
+    p.worldX = world.x
+    p.worldY = world.y
+    p.onPlayfield = camera.containsScreenPoint(p.x, p.y)
+    if (down !== undefined) p.down = down
+  }
+
+  /**
+   * @returns {{x: number, y: number, worldX: number, worldY: number, down: boolean, onPlayfield: boolean}}
+   */
+  getPointer() {
+    return this.pointer
+  }
+
   _handlePointerDown(e) {
+    this._updatePointer(e, true)
     this.touch.startX = e.clientX
     this.touch.startY = e.clientY
     this.touch.startTime = Date.now()
@@ -131,21 +161,25 @@ class InputManager {
   }
 
   _handlePointerMove(e) {
-    if (!this.touch.startX) return
+    this._updatePointer(e)
+    if (this.touch.startX == null) return
     const dx = e.clientX - this.touch.startX
     const dy = e.clientY - this.touch.startY
     this.touch.lastX = e.clientX
     this.touch.lastY = e.clientY
     const thresh = 10
     if (Math.abs(dx) > Math.abs(dy) && Math.abs(dx) > thresh) {
-      if (dx > 0) this._pointerAction('rotateRight', true)
-      else this._pointerAction('rotateLeft', true)
+      // Swiping back the other way must let go of the first direction, as a key release would
+      const opposite = dx > 0 ? 'rotateLeft' : 'rotateRight'
+      if (this.actionState[opposite]) this._pointerAction(opposite, false)
+      this._pointerAction(dx > 0 ? 'rotateRight' : 'rotateLeft', true)
     } else if (Math.abs(dy) > thresh) {
       this._pointerAction('moveForward', dy < 0)
     }
   }
 
   _handlePointerUp(e) {
+    this._updatePointer(e, false)
     const dt = Date.now() - (this.touch.startTime || 0)
     const dx = e.clientX - (this.touch.startX || e.clientX)
     const dy = e.clientY - (this.touch.startY || e.clientY)
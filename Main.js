@@ -6,7 +6,14 @@ import adsiapmanager from './AdsIAPManager.js';
 import leaderboardservice from './LeaderboardService.js';
 import inputmanager from './InputManager.js';
 import physicsengine from './PhysicsEngine.js';
-import entitysystem from './EntitySystem.js';
+import './PhysicsSystem.js';
+import './RenderSystem.js';
+import './AnimationSystem.js';
+import { PLAYER_BLUEPRINT, spawnPlayerShip } from './PlayerControlSystem.js';
+import particlesystem from './ParticleSystem.js';
+import camera from './Camera.js';
+import postprocessing from './PostProcessing.js';
+import * as entitysystem from './EntitySystem.js';
 import wavespawner from './WaveSpawner.js';
 import powerupmanager from './PowerUpManager.js';
 import lifescoremanager from './LifeScoreManager.js';
@@ -15,6 +22,13 @@ import audiomanager from './AudioManager.js';
 import uimanager from './UIManager.js';
 import pausemanager from './PauseManager.js';
 import gameloopmanager from './GameLoopManager.js';
+import rng from './RandomService.js';
+
+// Everything loaded behind the loading overlay, by the key modules ask
+// assetmanager.get() for. URLs are relative to AssetManager's basePaths.
+const ASSET_MANIFEST = {
+  blueprints: { url: 'blueprints.json', type: 'json' }
+};
 
 document.addEventListener('DOMContentLoaded', () => {
   const canvas = document.getElementById('canvas-viewport');
@@ -52,7 +66,7 @@ document.addEventListener('DOMContentLoaded', () => {
     loader.setAttribute('aria-hidden', 'false');
   }
 
-  assetmanager.loadAll()
+  assetmanager.loadAll(ASSET_MANIFEST)
     .then(() => {
       if (loader) {
         loader.classList.remove('is-loading');
@@ -71,17 +85,30 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
   function startGame() {
+    // Blueprints arrive with the assets; without them there is no ship to fly.
+    if (!entitysystem.blueprintRegistry.has(PLAYER_BLUEPRINT)) {
+      console.error(`startGame: blueprint "${PLAYER_BLUEPRINT}" is not loaded, not starting a run without a player.`);
+      return;
+    }
+    rng.init();
     inputmanager.init();
     physicsengine.init('#canvas-viewport');
+    // The world is the camera's fixed playfield, whatever the window size.
+    physicsengine.setBounds({ width: camera.width, height: camera.height, mode: 'wrap' });
+    camera.init();
     entitysystem.init();
     wavespawner.init();
     powerupmanager.init();
+    particlesystem.init();
+    postprocessing.init();
     lifescoremanager.init();
     debugoverlay.init();
     audiomanager.init();
     uimanager.initHUD();
     pausemanager.init();
     gameloopmanager.start();
+    // Systems register on GameStart, so the ship spawns once they are in place.
+    spawnPlayerShip();
     analyticstracker.logEvent('GameStart');
   }
 
@@ -0,0 +1,379 @@
+import GameLoopManager from './GameLoopManager.js';
+import rng from './RandomService.js';
+import {
+  eventBus,
+  Component,
+  Transform,
+  Velocity,
+  entityManager,
+  registerComponent
+} from './EntitySystem.js';
+import renderSystem, { Renderable, RenderLayer } from './RenderSystem.js';
+import { PlayerControl } from './PlayerControlSystem.js';
+
+/**
+ * Pooled particles for explosions, thrust and debris.
+ *
+ * Particles are plain objects recycled from a fixed pool. They are neither
+ * entities nor physics bodies, so thousands of them cost one loop per Tick
+ * and one draw pass, and never touch World.step. They advance on the fixed
+ * Tick (so they freeze while paused and slow down with the time scale) and
+ * are drawn in the 'effects' render layer, interpolated by alpha.
+ *
+ * Emitters are named configs (see EMITTER_PRESETS and defineEmitter). Fire one
+ * with emit(name, at) or keep one running with start(name, at). Entities opt
+ * in to automatic effects with a ParticleEffects component:
+ *   onDestroy   - emitters fired where the entity is destroyed; 'debris'
+ *                 breaks its vector Renderable into flying line segments
+ *   onCollision - emitters fired at the contact point of its collisions
+ *   onThrust    - continuous emitter that runs while the entity's
+ *                 PlayerControl is thrusting, from thrustOffset in the
+ *                 entity's local space
+ */
+const DEFAULT_MAX_PARTICLES = 4000;
+
+// Ranges are [min, max]; size, color and alpha are [start, end] over the particle's life.
+//   mode: 'burst' fires count at once; 'continuous' fires rate per second until stopped
+//   life: milliseconds
+//   speed: units per second, spread: cone width in radians around the emit angle
+//   drag: decay rate per second, speed falls off roughly as e^(-drag * t)
+//   inherit: share of the source velocity added to every particle
+//   shape: 'dot' (square of size) or 'line' (segment of length, spinning by spin rad/s)
+const EMITTER_PRESETS = {
+  explosion: {
+    mode: 'burst', count: 40, life: [400, 900], speed: [40, 220], spread: Math.PI * 2,
+    drag: 2, size: [3, 0.5], color: ['#ffe9a0', '#ff4000'], alpha: [1, 0], shape: 'dot'
+  },
+  spark: {
+    mode: 'burst', count: 8, life: [120, 300], speed: [80, 200], spread: Math.PI / 2,
+    drag: 4, size: [2, 1], color: ['#ffffff', '#ffc040'], alpha: [1, 0], shape: 'dot'
+  },
+  thrust: {
+    mode: 'continuous', rate: 90, life: [150, 350], speed: [60, 140], spread: 0.5,
+    drag: 1, inherit: 1, size: [2.5, 0.5], color: ['#ffd080', '#ff3000'], alpha: [0.9, 0], shape: 'dot'
+  },
+  debris: {
+    mode: 'burst', life: [700, 1400], speed: [20, 90], spread: 0.8, drag: 0.5,
+    spin: [-6, 6], size: [1.5, 1.5], color: ['#c8c8c8', '#c8c8c8'], alpha: [1, 0], shape: 'line'
+  }
+};
+
+function parseColor(hex) {
+  const h = hex.replace('#', '');
+  const full = h.length === 3 ? h.split('').map(c => c + c).join('') : h;
+  const n = parseInt(full, 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function compileEmitter(config) {
+  return {
+    mode: 'burst',
+    count: 10,
+    rate: 30,
+    life: [500, 500],
+    speed: [0, 0],
+    spread: Math.PI * 2,
+    drag: 0,
+    inherit: 0,
+    spin: [0, 0],
+    length: [4, 8],
+    size: [2, 2],
+    alpha: [1, 0],
+    shape: 'dot',
+    ...config,
+    rgb: (config.color || ['#ffffff', '#ffffff']).map(parseColor)
+  };
+}
+
+class ParticleEffects extends Component {
+  constructor(options = {}) {
+    super();
+    this.onDestroy = options.onDestroy || [];
+    this.onCollision = options.onCollision || [];
+    this.onThrust = options.onThrust || null;
+    this.thrustOffset = options.thrustOffset || [0, 0];
+  }
+}
+
+registerComponent('ParticleEffects', ParticleEffects);
+
+class ParticleSystem {
+  constructor(maxParticles = DEFAULT_MAX_PARTICLES) {
+    this.maxParticles = maxParticles;
+    this.emitters = new Map();
+    this.particles = [];
+    this.pool = [];
+    this.running = new Set();
+    this.thrusting = new Map();
+    this._removeDrawer = null;
+    for (const name in EMITTER_PRESETS) this.defineEmitter(name, EMITTER_PRESETS[name]);
+    this._onTick = this._onTick.bind(this);
+    this._draw = this._draw.bind(this);
+    this._onDestroyed = this._onDestroyed.bind(this);
+    this._onCollision = this._onCollision.bind(this);
+    this.clear = this.clear.bind(this);
+  }
+
+  init() {
+    GameLoopManager.on('Tick', this._onTick);
+    GameLoopManager.on('GameStart', this.clear);
+    eventBus.on('ecs:EntityDestroyed', this._onDestroyed);
+    eventBus.on('ecs:Collision', this._onCollision);
+    // A restore destroys the whole world first; those are not explosions.
+    eventBus.on('ecs:WorldRestored', this.clear);
+    if (!this._removeDrawer) this._removeDrawer = renderSystem.addDrawer(RenderLayer.EFFECTS, this._draw);
+  }
+
+  destroy() {
+    GameLoopManager.off('Tick', this._onTick);
+    GameLoopManager.off('GameStart', this.clear);
+    eventBus.off('ecs:EntityDestroyed', this._onDestroyed);
+    eventBus.off('ecs:Collision', this._onCollision);
+    eventBus.off('ecs:WorldRestored', this.clear);
+    if (this._removeDrawer) this._removeDrawer();
+    this._removeDrawer = null;
+    this.clear();
+  }
+
+  defineEmitter(name, config) {
+    this.emitters.set(name, compileEmitter(config));
+  }
+
+  /**
+   * Fire a burst.
+   * @param {string} name - Emitter name.
+   * @param {{x: number, y: number, angle?: number, vx?: number, vy?: number, count?: number}} at
+   */
+  emit(name, at) {
+    const emitter = this._getEmitter(name);
+    if (!emitter) return;
+    const count = at.count != null ? at.count : emitter.count;
+    for (let i = 0; i < count; i++) this._spawn(emitter, at);
+  }
+
+  /**
+   * Start a continuous emitter. Move it by updating the returned source's
+   * x, y, angle, vx and vy; stop it with stop().
+   * @returns {{x: number, y: number, angle: number, vx: number, vy: number, stop: Function}|null}
+   */
+  start(name, at = {}) {
+    const emitter = this._getEmitter(name);
+    if (!emitter) return null;
+    const source = { x: 0, y: 0, angle: 0, vx: 0, vy: 0, ...at, emitter, carry: 0 };
+    source.stop = () => this.running.delete(source);
+    this.running.add(source);
+    return source;
+  }
+
+  /**
+   * Break a vector outline into line particles.
+   * @param {Array<Array<number>>} points - Local-space outline, as on Renderable.points.
+   * @param {{x: number, y: number, angle?: number, vx?: number, vy?: number, closed?: boolean, stroke?: string}} at
+   */
+  emitDebris(points, at, name = 'debris') {
+    const emitter = this._getEmitter(name);
+    if (!emitter || points.length < 2) return;
+    const cos = Math.cos(at.angle || 0);
+    const sin = Math.sin(at.angle || 0);
+    const rgb = at.stroke ? parseColor(at.stroke) : null;
+    const segments = at.closed === false ? points.length - 1 : points.length;
+    for (let i = 0; i < segments; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const mx = (a[0] + b[0]) / 2;
+      const my = (a[1] + b[1]) / 2;
+      const p = this._spawn(emitter, {
+        x: at.x + mx * cos - my * sin,
+        y: at.y + mx * sin + my * cos,
+        // Fly outward from the shape's centre.
+        angle: Math.atan2(mx * sin + my * cos, mx * cos - my * sin),
+        vx: at.vx,
+        vy: at.vy
+      });
+      if (!p) return;
+      p.length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+      p.rotation = Math.atan2(b[1] - a[1], b[0] - a[0]) + (at.angle || 0);
+      if (rgb) { p.rgb0 = rgb; p.rgb1 = rgb; }
+    }
+  }
+
+  clear() {
+    this.particles.forEach(p => this.pool.push(p));
+    this.particles = [];
+    this.running.clear();
+    this.thrusting.clear();
+  }
+
+  getCount() {
+    return this.particles.length;
+  }
+
+  _getEmitter(name) {
+    const emitter = this.emitters.get(name);
+    if (!emitter) console.warn(`ParticleSystem: unknown emitter "${name}"`);
+    return emitter;
+  }
+
+  _spawn(emitter, at) {
+    if (this.particles.length >= this.maxParticles) return null;
+    // Cosmetic draws use their own stream so gameplay streams stay reproducible.
+    const random = rng.stream('particles');
+    const p = this.pool.pop() || {};
+    const direction = (at.angle || 0) + (random.next() - 0.5) * emitter.spread;
+    const speed = random.range(emitter.speed[0], emitter.speed[1]);
+    p.x = p.px = at.x;
+    p.y = p.py = at.y;
+    p.vx = Math.cos(direction) * speed + (at.vx || 0) * emitter.inherit;
+    p.vy = Math.sin(direction) * speed + (at.vy || 0) * emitter.inherit;
+    p.age = 0;
+    p.life = random.range(emitter.life[0], emitter.life[1]);
+    p.drag = emitter.drag;
+    p.shape = emitter.shape;
+    p.size0 = emitter.size[0];
+    p.size1 = emitter.size[1];
+    p.alpha0 = emitter.alpha[0];
+    p.alpha1 = emitter.alpha[1];
+    p.rgb0 = emitter.rgb[0];
+    p.rgb1 = emitter.rgb[1] || emitter.rgb[0];
+    p.length = random.range(emitter.length[0], emitter.length[1]);
+    p.rotation = direction;
+    p.spin = random.range(emitter.spin[0], emitter.spin[1]);
+    this.particles.push(p);
+    return p;
+  }
+
+  _onTick(e) {
+    const dtMs = e.detail.dt;
+    const dt = dtMs / 1000;
+    this._updateThrust();
+    this.running.forEach(source => {
+      source.carry += source.emitter.rate * dt;
+      while (source.carry >= 1) {
+        source.carry--;
+        this._spawn(source.emitter, source);
+      }
+    });
+    const particles = this.particles;
+    let alive = 0;
+    for (let i = 0; i < particles.length; i++) {
+      const p = particles[i];
+      p.age += dtMs;
+      if (p.age >= p.life) {
+        this.pool.push(p);
+        continue;
+      }
+      p.px = p.x;
+      p.py = p.y;
+      if (p.drag) {
+        const damping = 1 / (1 + dt * p.drag);
+        p.vx *= damping;
+        p.vy *= damping;
+      }
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      p.rotation += p.spin * dt;
+      particles[alive++] = p;
+    }
+    particles.length = alive;
+  }
+
+  _draw(ctx, alpha) {
+    const particles = this.particles;
+    for (let i = 0; i < particles.length; i++) {
+      const p = particles[i];
+      const t = p.age / p.life;
+      const x = p.px + (p.x - p.px) * alpha;
+      const y = p.py + (p.y - p.py) * alpha;
+      const size = p.size0 + (p.size1 - p.size0) * t;
+      const r = Math.round(p.rgb0[0] + (p.rgb1[0] - p.rgb0[0]) * t);
+      const g = Math.round(p.rgb0[1] + (p.rgb1[1] - p.rgb0[1]) * t);
+      const b = Math.round(p.rgb0[2] + (p.rgb1[2] - p.rgb0[2]) * t);
+      ctx.globalAlpha = Math.max(0, p.alpha0 + (p.alpha1 - p.alpha0) * t);
+      if (p.shape === 'line') {
+        const dx = Math.cos(p.rotation) * p.length / 2;
+        const dy = Math.sin(p.rotation) * p.length / 2;
+        ctx.strokeStyle = `rgb(${r},${g},${b})`;
+        ctx.lineWidth = size;
+        ctx.beginPath();
+        ctx.moveTo(x - dx, y - dy);
+        ctx.lineTo(x + dx, y + dy);
+        ctx.stroke();
+      } else {
+        ctx.fillStyle = `rgb(${r},${g},${b})`;
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+      }
+    }
+  }
+
+  // Where an entity is and how it moves, for emitters tied to it.
+  _sourceOf(entity, offset = [0, 0]) {
+    const transform = entity.getComponent(Transform);
+    if (!transform) return null;
+    const velocity = entity.getComponent(Velocity);
+    const cos = Math.cos(transform.angle);
+    const sin = Math.sin(transform.angle);
+    return {
+      x: transform.x + offset[0] * cos - offset[1] * sin,
+      y: transform.y + offset[0] * sin + offset[1] * cos,
+      angle: transform.angle,
+      vx: velocity ? velocity.x : 0,
+      vy: velocity ? velocity.y : 0
+    };
+  }
+
+  _onDestroyed(e) {
+    const entity = e.detail.entity;
+    const effects = entity.getComponent(ParticleEffects);
+    if (!effects) return;
+    const at = this._sourceOf(entity);
+    if (!at) return;
+    const renderable = entity.getComponent(Renderable);
+    effects.onDestroy.forEach(name => {
+      if (name === 'debris' && renderable && renderable.kind === 'vector') {
+        this.emitDebris(renderable.points, { ...at, closed: renderable.closed, stroke: renderable.stroke });
+      } else {
+        this.emit(name, at);
+      }
+    });
+  }
+
+  _onCollision(e) {
+    const { entityA, entityB, normal, point } = e.detail;
+    [entityA, entityB].forEach((entity, i) => {
+      const effects = entity && entity.getComponent(ParticleEffects);
+      if (!effects || !effects.onCollision.length) return;
+      const at = point || this._sourceOf(entity);
+      if (!at) return;
+      // Sparks fly off the surface, back towards the other body.
+      const angle = Math.atan2(normal.y, normal.x) + (i === 0 ? 0 : Math.PI);
+      effects.onCollision.forEach(name => this.emit(name, { x: at.x, y: at.y, angle }));
+    });
+  }
+
+  // Thrust emitters follow PlayerControl.thrusting and stay on their entity; exhaust leaves backwards.
+  _updateThrust() {
+    entityManager.query({ all: [ParticleEffects, PlayerControl, Transform] }).toArray().forEach(entity => {
+      const effects = entity.getComponent(ParticleEffects);
+      if (!effects.onThrust || !entity.getComponent(PlayerControl).thrusting || this.thrusting.has(entity)) return;
+      const source = this.start(effects.onThrust);
+      if (source) this.thrusting.set(entity, { handle: entity.handle(), source });
+    });
+    this.thrusting.forEach(({ handle, source }, entity) => {
+      const alive = entityManager.isAlive(handle);
+      const effects = alive && entity.getComponent(ParticleEffects);
+      const control = alive && entity.getComponent(PlayerControl);
+      const at = effects && control && control.thrusting ? this._sourceOf(entity, effects.thrustOffset) : null;
+      if (!at) {
+        source.stop();
+        this.thrusting.delete(entity);
+        return;
+      }
+      Object.assign(source, at);
+      source.angle = at.angle + Math.PI;
+    });
+  }
+}
+
+const particleSystem = new ParticleSystem();
+export default particleSystem;
+export { ParticleSystem, ParticleEffects, EMITTER_PRESETS };
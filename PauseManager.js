@@ -9,7 +9,6 @@ class PauseManager extends EventTarget {
     this.paused = false;
     this.pauseButtonSelector = '.btn-pause';
     this.pauseScreenSelector = '.menu-screen[data-screen="PauseMenu"]';
-    this._onKeyDown = this._onKeyDown.bind(this);
     this._onPauseClick = this._onPauseClick.bind(this);
     this._onInputEvent = this._onInputEvent.bind(this);
   }
@@ -37,29 +36,24 @@ class PauseManager extends EventTarget {
       pauseBtn.addEventListener('click', this._onPauseClick, { passive: true });
     }
 
-    window.addEventListener('keydown', this._onKeyDown);
+    // Escape and P reach us as the 'pause' action, so there is no keydown listener here.
     if (inputmanager && typeof inputmanager.on === 'function') {
       inputmanager.on('InputEvent', this._onInputEvent);
     }
 
     // PM-1: sync with game loop events
-    window.addEventListener('GamePause', () => this.pause(), { passive: true });
-    window.addEventListener('GameResume', () => this.resume(), { passive: true });
+    gameloopmanager.on('GamePause', () => this.pause());
+    gameloopmanager.on('GameResume', () => this.resume());
   }
 
   _onPauseClick() {
     this.toggle();
   }
 
-  _onKeyDown(e) {
-    if (e.key === 'Escape') {
-      this.toggle();
-    }
-  }
-
   _onInputEvent(e) {
     const detail = e.detail || {};
-    if (detail.action === 'pause') {
+    // Releases arrive too (value false); toggling on them would undo the press.
+    if (detail.action === 'pause' && detail.value === true) {
       this.toggle();
     }
   }
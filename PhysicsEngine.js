@@ -1,4 +1,64 @@
 import GameLoopManager from './GameLoopManager.js';
+import { eventBus } from './EventBus.js';
+
+eventBus.defineTopic('physics:Collision', { bodyA: 'object', bodyB: 'object', normal: 'object', penetration: 'number', point: 'object?', toi: 'number?', impulse: 'number?' });
+eventBus.defineTopic('physics:TriggerEnter', { sensor: 'object', other: 'object', userData: 'object', otherUserData: 'object' });
+eventBus.defineTopic('physics:TriggerExit', { sensor: 'object', other: 'object', userData: 'object', otherUserData: 'object' });
+eventBus.defineTopic('physics:BodyExited', { body: 'object', userData: 'object' });
+
+// World.bounds modes. 'none' leaves bodies unconstrained.
+const BoundsMode = Object.freeze({
+  NONE: 'none',
+  WRAP: 'wrap',
+  CLAMP: 'clamp',
+  BOUNCE: 'bounce',
+  DESTROY: 'destroy'
+});
+
+// Category bits for Body.category / Body.mask. Two bodies interact only when
+// each one's category is in the other's mask. Blueprint JSON may use the
+// lowercase names instead of numbers, e.g. "mask": ["asteroid", "enemy"].
+const CollisionLayer = Object.freeze({
+  DEFAULT: 0x0001,
+  SHIP: 0x0002,
+  BULLET: 0x0004,
+  ASTEROID: 0x0008,
+  ENEMY: 0x0010,
+  POWERUP: 0x0020,
+  ALL: 0xffff
+});
+
+function resolveLayers(value, fallback) {
+  if (value == null) return fallback;
+  if (typeof value === 'number') return value;
+  return [].concat(value).reduce((bits, name) => {
+    const key = String(name).toUpperCase();
+    if (!(key in CollisionLayer)) {
+      console.warn(`PhysicsEngine: unknown collision layer "${name}"`);
+      return bits;
+    }
+    return bits | CollisionLayer[key];
+  }, 0);
+}
+
+let nextBodyUid = 1;
+
+// Moment of inertia about the body origin. Polygons use the standard
+// triangle-fan formula; circles are solid discs.
+function computeInertia(shape, mass) {
+  if (shape.type !== 'polygon') return 0.5 * mass * shape.radius * shape.radius;
+  const v = shape.vertices;
+  let numerator = 0;
+  let denominator = 0;
+  for (let i = 0; i < v.length; i++) {
+    const a = v[i];
+    const b = v[(i + 1) % v.length];
+    const cross = Math.abs(Vec2.cross(a, b));
+    numerator += cross * (a.dot(a) + a.dot(b) + b.dot(b));
+    denominator += cross;
+  }
+  return denominator > 0 ? mass * numerator / (6 * denominator) : 0.5 * mass * shape.radius * shape.radius;
+}
 
 class Vec2 {
   constructor(x = 0, y = 0) { this.x = x; this.y = y; }
@@ -9,16 +69,36 @@ class Vec2 {
   length() { return Math.hypot(this.x, this.y); }
   normalize() { const len = this.length(); if (len > 0) this.scale(1 / len); return this; }
   clone() { return new Vec2(this.x, this.y); }
+  copy(v) { this.x = v.x; this.y = v.y; return this; }
   static sub(a, b) { return new Vec2(a.x - b.x, a.y - b.y); }
   static add(a, b) { return new Vec2(a.x + b.x, a.y + b.y); }
   static scale(v, s) { return new Vec2(v.x * s, v.y * s); }
+  static cross(a, b) { return a.x * b.y - a.y * b.x; }
+  // Velocity of a point at offset r on a body spinning at w: w x r.
+  static crossScalar(w, r) { return new Vec2(-w * r.y, w * r.x); }
+  static lerp(a, b, t, out = new Vec2()) {
+    out.x = a.x + (b.x - a.x) * t;
+    out.y = a.y + (b.y - a.y) * t;
+    return out;
+  }
+}
+
+// Polygon vertices may be given as [x, y] pairs (blueprint JSON) or {x, y}
+// objects, in body-local space around the body position, and must be convex.
+// The bounding radius is kept on the shape for code that only needs a circle.
+function normalizeShape(shape) {
+  if (shape.type !== 'polygon') return shape;
+  const vertices = (shape.vertices || []).map(v => Array.isArray(v) ? new Vec2(v[0], v[1]) : new Vec2(v.x, v.y));
+  if (vertices.length < 3) console.warn('PhysicsEngine: polygon shape needs at least 3 vertices', shape);
+  const radius = vertices.reduce((max, v) => Math.max(max, v.length()), 0);
+  return { ...shape, vertices, radius };
 }
 
 class Body {
   constructor(options = {}) {
     this.id = options.id || Symbol();
     this.position = options.position instanceof Vec2 ? options.position.clone() : new Vec2(options.position?.x, options.position?.y);
-    this.velocity = options.velocity instanceof Vec2 ? options.velocity.clone() : new Vec2();
+    this.velocity = options.velocity instanceof Vec2 ? options.velocity.clone() : new Vec2(options.velocity?.x, options.velocity?.y);
     this.acceleration = new Vec2();
     this.angle = options.angle || 0;
     this.angularVelocity = options.angularVelocity || 0;
@@ -26,24 +106,442 @@ class Body {
     this.invMass = 1 / this.mass;
     this.restitution = options.restitution != null ? options.restitution : 0.9;
     this.friction = options.friction != null ? options.friction : 0.1;
-    this.shape = options.shape || { type: 'circle', radius: options.radius || 1 };
+    this.shape = normalizeShape(options.shape || { type: 'circle', radius: options.radius || 1 });
     this.static = options.static || false;
+    this.inertia = options.inertia > 0 ? options.inertia : computeInertia(this.shape, this.mass);
+    this.invInertia = this.inertia > 0 ? 1 / this.inertia : 0;
+    this.torque = 0;
+    // Damping is a decay rate per second: speed falls off roughly as e^(-damping * t),
+    // so 0.5 keeps about 61% of it after one second and 0.7 about half.
+    this.linearDamping = options.linearDamping || 0;
+    this.angularDamping = options.angularDamping || 0;
+    this.maxSpeed = options.maxSpeed > 0 ? options.maxSpeed : Infinity;
+    this.maxAngularSpeed = options.maxAngularSpeed > 0 ? options.maxAngularSpeed : Infinity;
+    this.category = resolveLayers(options.category, CollisionLayer.DEFAULT);
+    this.mask = resolveLayers(options.mask, CollisionLayer.ALL);
+    // Sensors report overlap through TriggerEnter/TriggerExit and are never pushed apart.
+    this.isSensor = options.isSensor || false;
+    this.userData = options.userData || {};
+    // Fast movers: swept against other bodies each step so they cannot tunnel.
+    // The sweep treats the body as a circle of its bounding radius.
+    this.bullet = options.bullet || false;
+    this.uid = nextBodyUid++;
+    this.previousPosition = this.position.clone();
+    this.previousAngle = this.angle;
+    this._worldVertices = null;
+    this._verticesX = NaN;
+    this._verticesY = NaN;
+    this._verticesAngle = NaN;
+  }
+  // Called at the start of every step so renderers can blend the last two states.
+  savePreviousState() {
+    this.previousPosition.copy(this.position);
+    this.previousAngle = this.angle;
+  }
+  getInterpolatedPosition(alpha, out) {
+    return Vec2.lerp(this.previousPosition, this.position, alpha, out);
+  }
+  getInterpolatedAngle(alpha) {
+    let diff = this.angle - this.previousAngle;
+    // Blend along the shorter arc so a wrap from PI to -PI does not spin the sprite.
+    diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+    return this.previousAngle + diff * alpha;
+  }
+  collidesWith(other) {
+    return (this.category & other.mask) !== 0 && (other.category & this.mask) !== 0;
   }
   applyForce(force) {
     if (!this.static) this.acceleration.add(Vec2.scale(force, this.invMass));
   }
+  applyTorque(torque) {
+    if (!this.static) this.torque += torque;
+  }
+  // Force along the facing direction; angle 0 faces +x.
+  applyThrust(magnitude) {
+    this.applyForce(new Vec2(Math.cos(this.angle) * magnitude, Math.sin(this.angle) * magnitude));
+  }
+  // Instant change of momentum. An offset r from the centre also spins the body.
+  applyImpulse(impulse, r) {
+    if (this.static) return;
+    this.velocity.add(Vec2.scale(impulse, this.invMass));
+    if (r) this.angularVelocity += Vec2.cross(r, impulse) * this.invInertia;
+  }
+  applyAngularImpulse(impulse) {
+    if (!this.static) this.angularVelocity += impulse * this.invInertia;
+  }
+  getFacing(out = new Vec2()) {
+    out.x = Math.cos(this.angle);
+    out.y = Math.sin(this.angle);
+    return out;
+  }
+  // Polygon vertices rotated by angle and moved to position. Cached until the body moves.
+  getWorldVertices() {
+    if (this.shape.type !== 'polygon') return null;
+    const { x, y } = this.position;
+    if (this._worldVertices && x === this._verticesX && y === this._verticesY && this.angle === this._verticesAngle) {
+      return this._worldVertices;
+    }
+    const local = this.shape.vertices;
+    if (!this._worldVertices) this._worldVertices = local.map(() => new Vec2());
+    const cos = Math.cos(this.angle);
+    const sin = Math.sin(this.angle);
+    for (let i = 0; i < local.length; i++) {
+      const v = local[i];
+      this._worldVertices[i].x = x + v.x * cos - v.y * sin;
+      this._worldVertices[i].y = y + v.x * sin + v.y * cos;
+    }
+    this._verticesX = x;
+    this._verticesY = y;
+    this._verticesAngle = this.angle;
+    return this._worldVertices;
+  }
+  getAABB(out = {}) {
+    const vertices = this.getWorldVertices();
+    if (vertices) {
+      out.minX = out.minY = Infinity;
+      out.maxX = out.maxY = -Infinity;
+      vertices.forEach(v => {
+        if (v.x < out.minX) out.minX = v.x;
+        if (v.y < out.minY) out.minY = v.y;
+        if (v.x > out.maxX) out.maxX = v.x;
+        if (v.y > out.maxY) out.maxY = v.y;
+      });
+      return out;
+    }
+    const r = this.shape.radius || 0;
+    out.minX = this.position.x - r;
+    out.minY = this.position.y - r;
+    out.maxX = this.position.x + r;
+    out.maxY = this.position.y + r;
+    return out;
+  }
   integrate(dt) {
     if (this.static) return;
     this.velocity.add(Vec2.scale(this.acceleration, dt));
+    if (this.linearDamping) this.velocity.scale(1 / (1 + dt * this.linearDamping));
+    const speed = this.velocity.length();
+    if (speed > this.maxSpeed) this.velocity.scale(this.maxSpeed / speed);
     this.position.add(Vec2.scale(this.velocity, dt));
+
+    this.angularVelocity += this.torque * this.invInertia * dt;
+    if (this.angularDamping) this.angularVelocity /= 1 + dt * this.angularDamping;
+    this.angularVelocity = Math.max(-this.maxAngularSpeed, Math.min(this.maxAngularSpeed, this.angularVelocity));
+    if (this.angularVelocity) {
+      this.angle += this.angularVelocity * dt;
+      // Keep the angle in (-PI, PI] so it does not lose precision over a long run.
+      if (this.angle > Math.PI || this.angle <= -Math.PI) this.angle = Math.atan2(Math.sin(this.angle), Math.cos(this.angle));
+    }
+
     this.acceleration.x = 0; this.acceleration.y = 0;
+    this.torque = 0;
+  }
+}
+
+// Narrowphase. Each test returns { normal, penetration, point } with the normal
+// pointing from the first shape towards the second and point an approximate
+// world-space contact point, or null when apart.
+// Polygon tests use the separating axis theorem: the shapes overlap only if
+// their projections overlap on every edge normal, and the axis with the
+// smallest overlap gives the contact normal and penetration depth.
+
+function projectVertices(vertices, axis) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < vertices.length; i++) {
+    const d = vertices[i].dot(axis);
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+  return { min, max };
+}
+
+function edgeNormal(vertices, i) {
+  const a = vertices[i];
+  const b = vertices[(i + 1) % vertices.length];
+  return new Vec2(b.y - a.y, a.x - b.x).normalize();
+}
+
+function collideCircles(posA, radiusA, posB, radiusB) {
+  const diff = Vec2.sub(posB, posA);
+  const dist = diff.length();
+  const r = radiusA + radiusB;
+  if (dist !== 0 && dist >= r) return null;
+  const normal = dist === 0 ? new Vec2(1, 0) : diff.scale(1 / dist);
+  return { normal, penetration: r - dist, point: Vec2.add(posA, Vec2.scale(normal, radiusA - (r - dist) / 2)) };
+}
+
+// Vertex furthest along direction.
+function support(vertices, direction) {
+  let best = vertices[0];
+  let bestDot = -Infinity;
+  for (let i = 0; i < vertices.length; i++) {
+    const d = vertices[i].dot(direction);
+    if (d > bestDot) { bestDot = d; best = vertices[i]; }
+  }
+  return best;
+}
+
+function collidePolygonCircle(vertices, polyCenter, center, radius) {
+  let best = null;
+  const testAxis = axis => {
+    const p = projectVertices(vertices, axis);
+    const c = center.dot(axis);
+    const overlap = Math.min(p.max, c + radius) - Math.max(p.min, c - radius);
+    if (overlap <= 0) return false;
+    if (!best || overlap < best.penetration) best = { normal: axis, penetration: overlap };
+    return true;
+  };
+  for (let i = 0; i < vertices.length; i++) {
+    if (!testAxis(edgeNormal(vertices, i))) return null;
+  }
+  // The axis towards the closest vertex catches circles sitting off a corner.
+  let closest = vertices[0];
+  let closestDist = Infinity;
+  vertices.forEach(v => {
+    const d = Vec2.sub(center, v).length();
+    if (d < closestDist) { closestDist = d; closest = v; }
+  });
+  if (closestDist > 0 && !testAxis(Vec2.sub(center, closest).normalize())) return null;
+  if (Vec2.sub(center, polyCenter).dot(best.normal) < 0) best.normal = Vec2.scale(best.normal, -1);
+  best.point = Vec2.sub(center, Vec2.scale(best.normal, radius - best.penetration / 2));
+  return best;
+}
+
+function collidePolygons(verticesA, centerA, verticesB, centerB) {
+  let best = null;
+  for (const vertices of [verticesA, verticesB]) {
+    for (let i = 0; i < vertices.length; i++) {
+      const axis = edgeNormal(vertices, i);
+      const a = projectVertices(verticesA, axis);
+      const b = projectVertices(verticesB, axis);
+      const overlap = Math.min(a.max, b.max) - Math.max(a.min, b.min);
+      if (overlap <= 0) return null;
+      if (!best || overlap < best.penetration) best = { normal: axis, penetration: overlap };
+    }
+  }
+  if (Vec2.sub(centerB, centerA).dot(best.normal) < 0) best.normal = Vec2.scale(best.normal, -1);
+  // Midway between the deepest points of each polygon into the other.
+  const a = support(verticesA, best.normal);
+  const b = support(verticesB, Vec2.scale(best.normal, -1));
+  best.point = Vec2.lerp(a, b, 0.5);
+  return best;
+}
+
+// Ray tests. dir must be unit length. Each returns { distance, normal } for the
+// first point along the ray inside the shape, or null. A ray starting inside
+// reports distance 0 with the normal facing back along the ray.
+
+function rayCircle(origin, dir, maxDist, center, radius) {
+  const m = Vec2.sub(origin, center);
+  const b = m.dot(dir);
+  const c = m.dot(m) - radius * radius;
+  if (c <= 0) return { distance: 0, normal: Vec2.scale(dir, -1) };
+  if (b > 0) return null;
+  const disc = b * b - c;
+  if (disc < 0) return null;
+  const distance = -b - Math.sqrt(disc);
+  if (distance > maxDist) return null;
+  const normal = Vec2.add(m, Vec2.scale(dir, distance)).normalize();
+  return { distance, normal };
+}
+
+// Cyrus-Beck clipping against each edge of a convex polygon.
+function rayPolygon(origin, dir, maxDist, vertices) {
+  const centroid = vertices.reduce((sum, v) => sum.add(v), new Vec2()).scale(1 / vertices.length);
+  let enter = 0;
+  let exit = maxDist;
+  let enterNormal = null;
+  for (let i = 0; i < vertices.length; i++) {
+    const n = edgeNormal(vertices, i);
+    if (n.dot(Vec2.sub(vertices[i], centroid)) < 0) n.scale(-1);
+    const dist = n.dot(Vec2.sub(vertices[i], origin));
+    const denom = n.dot(dir);
+    if (denom === 0) {
+      if (dist < 0) return null;
+      continue;
+    }
+    const t = dist / denom;
+    if (denom < 0) {
+      if (t > enter) { enter = t; enterNormal = n; }
+    } else if (t < exit) {
+      exit = t;
+    }
+    if (enter > exit) return null;
+  }
+  return { distance: enter, normal: enterNormal || Vec2.scale(dir, -1) };
+}
+
+// Swept tests for a circle of radius r moving along a ray. They return the
+// distance travelled before first touching the target, with the target's
+// surface normal there, or null. A circle that already overlaps the target at
+// the start is left to the discrete test.
+
+function sweepCircleCircle(origin, dir, maxDist, r, center, radius) {
+  const hit = rayCircle(origin, dir, maxDist, center, radius + r);
+  return hit && hit.distance > 0 ? hit : null;
+}
+
+// The polygon grown by r: edges pushed out along their normals, corners rounded.
+function sweepCirclePolygon(origin, dir, maxDist, r, vertices, center) {
+  if (collidePolygonCircle(vertices, center, origin, r)) return null;
+  let best = null;
+  for (let i = 0; i < vertices.length; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    const n = edgeNormal(vertices, i);
+    if (n.dot(Vec2.sub(a, center)) < 0) n.scale(-1);
+    const denom = n.dot(dir);
+    if (denom < 0) {
+      const start = Vec2.add(a, Vec2.scale(n, r));
+      const t = n.dot(Vec2.sub(start, origin)) / denom;
+      const edge = Vec2.sub(b, a);
+      const s = Vec2.sub(Vec2.add(origin, Vec2.scale(dir, t)), start).dot(edge) / edge.dot(edge);
+      if (t >= 0 && t <= maxDist && s >= 0 && s <= 1 && (!best || t < best.distance)) best = { distance: t, normal: n };
+    }
+    const corner = rayCircle(origin, dir, best ? best.distance : maxDist, a, r);
+    if (corner && corner.distance > 0 && (!best || corner.distance < best.distance)) best = corner;
+  }
+  return best;
+}
+
+function aabbVertices({ minX, minY, maxX, maxY }) {
+  return [new Vec2(minX, minY), new Vec2(maxX, minY), new Vec2(maxX, maxY), new Vec2(minX, maxY)];
+}
+
+function offsetVertices(vertices, offset) {
+  return vertices.map(v => Vec2.add(v, offset));
+}
+
+// Uniform grid keyed by cell coordinates, rebuilt every step. Bodies are
+// inserted into every cell their AABB touches; only bodies sharing a cell
+// become candidate pairs for the narrowphase.
+const CELL_KEY_OFFSET = 32768;
+
+class SpatialHash {
+  constructor(cellSize = 64) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this._aabb = {};
+  }
+  clear() {
+    this.cells.clear();
+  }
+  _key(cx, cy) {
+    return (cx + CELL_KEY_OFFSET) * 65536 + (cy + CELL_KEY_OFFSET);
+  }
+  _range(aabb) {
+    const s = this.cellSize;
+    return {
+      x0: Math.floor(aabb.minX / s),
+      y0: Math.floor(aabb.minY / s),
+      x1: Math.floor(aabb.maxX / s),
+      y1: Math.floor(aabb.maxY / s)
+    };
+  }
+  insert(body, aabb) {
+    const { x0, y0, x1, y1 } = this._range(aabb);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const key = this._key(cx, cy);
+        let cell = this.cells.get(key);
+        if (!cell) {
+          cell = [];
+          this.cells.set(key, cell);
+        }
+        cell.push(body);
+      }
+    }
+  }
+  // With wrapBounds set, bodies straddling an edge are also inserted shifted
+  // to the opposite side, so they pair with bodies near that edge.
+  build(bodies, wrapBounds = null) {
+    this.clear();
+    for (let i = 0; i < bodies.length; i++) {
+      const aabb = bodies[i].getAABB(this._aabb);
+      bodies[i]._broadphaseIndex = i;
+      this.insert(bodies[i], aabb);
+      if (wrapBounds) this._insertGhosts(bodies[i], aabb, wrapBounds);
+    }
+  }
+  _insertGhosts(body, aabb, { x, y, width, height }) {
+    const dx = aabb.minX < x ? width : aabb.maxX > x + width ? -width : 0;
+    const dy = aabb.minY < y ? height : aabb.maxY > y + height ? -height : 0;
+    if (!dx && !dy) return;
+    const shifted = (ox, oy) => ({ minX: aabb.minX + ox, minY: aabb.minY + oy, maxX: aabb.maxX + ox, maxY: aabb.maxY + oy });
+    if (dx) this.insert(body, shifted(dx, 0));
+    if (dy) this.insert(body, shifted(0, dy));
+    if (dx && dy) this.insert(body, shifted(dx, dy));
+  }
+  // Calls fn(A, B) once per pair sharing at least one cell, A before B in body order.
+  forEachPair(count, fn) {
+    const seen = new Set();
+    let pairs = 0;
+    this.cells.forEach(cell => {
+      for (let i = 0; i < cell.length; i++) {
+        for (let j = i + 1; j < cell.length; j++) {
+          let A = cell[i];
+          let B = cell[j];
+          if (A._broadphaseIndex > B._broadphaseIndex) { const t = A; A = B; B = t; }
+          const key = A._broadphaseIndex * count + B._broadphaseIndex;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          pairs++;
+          fn(A, B);
+        }
+      }
+    });
+    return pairs;
+  }
+  // Bodies in cells overlapping the box; may include bodies outside it.
+  query(aabb) {
+    const result = new Set();
+    const { x0, y0, x1, y1 } = this._range(aabb);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const cell = this.cells.get(this._key(cx, cy));
+        if (cell) cell.forEach(b => result.add(b));
+      }
+    }
+    return result;
   }
 }
 
 class World {
-  constructor(emitter) {
+  // options.broadphase: 'spatialHash' (default) or 'naive' for the all-pairs sweep
+  // options.cellSize: spatial hash cell size in world units (default 64)
+  // options.bounds: see setBounds()
+  constructor(emitter, options = {}) {
     this.bodies = [];
     this._emitter = emitter;
+    this.broadphase = options.broadphase || 'spatialHash';
+    this.spatialHash = new SpatialHash(options.cellSize || 64);
+    this.stats = { bodies: 0, cells: 0, candidatePairs: 0, collisions: 0 };
+    // Sensor overlaps from the last step, keyed by body uid pair.
+    this.triggers = new Map();
+    this._touching = new Map();
+    this._swept = new Set();
+    this.bounds = null;
+    if (options.bounds) this.setBounds(options.bounds);
+  }
+  /**
+   * Constrain bodies to a rectangle. Static bodies are left alone.
+   *   wrap    - leaving one edge re-enters at the opposite edge; collisions see across edges
+   *   clamp   - stopped at the edge, outward velocity removed
+   *   bounce  - reflected off the edge, scaled by restitution
+   *   destroy - removed once fully outside, with a BodyExited event
+   * @param {{x?: number, y?: number, width: number, height: number, mode?: string}|null} bounds
+   */
+  setBounds(bounds) {
+    if (!bounds || bounds.mode === BoundsMode.NONE) {
+      this.bounds = null;
+      return;
+    }
+    const mode = bounds.mode || BoundsMode.WRAP;
+    if (!Object.values(BoundsMode).includes(mode) || !(bounds.width > 0) || !(bounds.height > 0)) {
+      console.warn('PhysicsEngine: invalid world bounds', bounds);
+      return;
+    }
+    this.bounds = { x: bounds.x || 0, y: bounds.y || 0, width: bounds.width, height: bounds.height, mode };
   }
   addBody(body) {
     this.bodies.push(body);
@@ -51,73 +549,337 @@ class World {
   removeBody(body) {
     const i = this.bodies.indexOf(body);
     if (i >= 0) this.bodies.splice(i, 1);
+    this.triggers.forEach((pair, key) => {
+      if (pair.sensor === body || pair.other === body) {
+        this.triggers.delete(key);
+        this._emitTrigger('TriggerExit', pair);
+      }
+    });
+  }
+  clear() {
+    this.bodies = [];
+    this.triggers.clear();
   }
   step(dt) {
-    const len = this.bodies.length;
+    let len = this.bodies.length;
+    for (let i = 0; i < len; i++) this.bodies[i].savePreviousState();
     for (let i = 0; i < len; i++) this.bodies[i].integrate(dt);
+    if (this.bounds) {
+      this._applyBounds();
+      len = this.bodies.length;
+    }
+    this.stats.bodies = len;
+    this.stats.collisions = 0;
+    this._touching.clear();
+    this._swept.clear();
+    const naive = this.broadphase === 'naive';
+    if (!naive) {
+      const wrap = this.bounds && this.bounds.mode === BoundsMode.WRAP ? this.bounds : null;
+      this.spatialHash.build(this.bodies, wrap);
+    }
     for (let i = 0; i < len; i++) {
-      const A = this.bodies[i];
-      for (let j = i + 1; j < len; j++) {
-        const B = this.bodies[j];
-        this._collide(A, B);
+      if (this.bodies[i].bullet) this._sweep(this.bodies[i], naive);
+    }
+    if (naive) {
+      for (let i = 0; i < len; i++) {
+        const A = this.bodies[i];
+        for (let j = i + 1; j < len; j++) {
+          const B = this.bodies[j];
+          this._collide(A, B);
+        }
       }
+      this.stats.cells = 0;
+      this.stats.candidatePairs = len * (len - 1) / 2;
+    } else {
+      this.stats.cells = this.spatialHash.cells.size;
+      this.stats.candidatePairs = this.spatialHash.forEachPair(len, (A, B) => this._collide(A, B));
     }
+    this._updateTriggers();
+  }
+  // Continuous test for a bullet body: sweep it from its previous to its current
+  // position and, on a hit, move it back to the time of impact and resolve there.
+  _sweep(body, naive) {
+    if (body.static || body.isSensor) return;
+    const start = body.previousPosition;
+    const motion = Vec2.sub(body.position, start);
+    const dist = motion.length();
+    const r = body.shape.radius || 0;
+    // Anything moving less than its radius per step cannot skip past a target.
+    if (dist < r || dist === 0) return;
+    const dir = motion.scale(1 / dist);
+    const aabb = {
+      minX: Math.min(start.x, body.position.x) - r,
+      minY: Math.min(start.y, body.position.y) - r,
+      maxX: Math.max(start.x, body.position.x) + r,
+      maxY: Math.max(start.y, body.position.y) + r
+    };
+    const candidates = naive ? this.bodies : this.spatialHash.query(aabb);
+    let best = null;
+    candidates.forEach(target => {
+      if (target === body || target.isSensor || !body.collidesWith(target)) return;
+      const offset = this._wrapOffset(start, target.position);
+      const pos = offset ? Vec2.add(target.position, offset) : target.position;
+      const limit = best ? best.distance : dist;
+      const vertices = target.getWorldVertices();
+      const hit = vertices
+        ? sweepCirclePolygon(start, dir, limit, r, offset ? offsetVertices(vertices, offset) : vertices, pos)
+        : sweepCircleCircle(start, dir, limit, r, pos, target.shape.radius);
+      if (hit && (!best || hit.distance < best.distance)) best = { target, pos, distance: hit.distance, normal: hit.normal };
+    });
+    if (!best) return;
+    const { target, pos, normal } = best;
+    body.position.copy(Vec2.add(start, Vec2.scale(dir, best.distance)));
+    const point = Vec2.sub(body.position, Vec2.scale(normal, r));
+    this._swept.add(body.uid < target.uid ? `${body.uid}:${target.uid}` : `${target.uid}:${body.uid}`);
+    // The normal leaves the target's surface, so the target is A.
+    const impulse = this._resolveCollision(target, body, normal, 0, Vec2.sub(point, pos), Vec2.sub(point, body.position));
+    this.stats.collisions++;
+    this._emitter.emit('Collision', { bodyA: target, bodyB: body, normal, penetration: 0, point, toi: best.distance / dist, impulse });
   }
   _collide(A, B) {
     if (A.static && B.static) return;
-    if (A.shape.type === 'circle' && B.shape.type === 'circle') {
-      const diff = Vec2.sub(B.position, A.position);
-      const dist = diff.length();
-      const r = A.shape.radius + B.shape.radius;
-      if (dist === 0 || dist < r) {
-        const normal = dist === 0 ? new Vec2(1, 0) : diff.scale(1 / dist);
-        const penetration = r - dist;
-        this._resolveCollision(A, B, normal, penetration);
-        const event = new CustomEvent('Collision', { detail: { bodyA: A, bodyB: B, normal, penetration } });
-        this._emitter.dispatchEvent(event);
+    if (!A.collidesWith(B)) return;
+    if (A.isSensor && B.isSensor) return;
+    if (this._swept.size && this._swept.has(A.uid < B.uid ? `${A.uid}:${B.uid}` : `${B.uid}:${A.uid}`)) return;
+    const contact = this._detect(A, B);
+    if (!contact) return;
+    if (A.isSensor || B.isSensor) {
+      const pair = A.isSensor ? { sensor: A, other: B } : { sensor: B, other: A };
+      this._touching.set(A.uid < B.uid ? `${A.uid}:${B.uid}` : `${B.uid}:${A.uid}`, pair);
+      return;
+    }
+    const { normal, penetration, point, posB } = contact;
+    const impulse = this._resolveCollision(A, B, normal, penetration, Vec2.sub(point, A.position), Vec2.sub(point, posB));
+    this.stats.collisions++;
+    this._emitter.emit('Collision', { bodyA: A, bodyB: B, normal, penetration, point, impulse });
+  }
+  _applyBounds() {
+    const { x, y, width, height, mode } = this.bounds;
+    const exited = [];
+    this.bodies.forEach(body => {
+      if (body.static) return;
+      const p = body.position;
+      if (mode === BoundsMode.WRAP) {
+        const wx = p.x < x || p.x >= x + width ? x + (((p.x - x) % width) + width) % width : p.x;
+        const wy = p.y < y || p.y >= y + height ? y + (((p.y - y) % height) + height) % height : p.y;
+        // Shift the previous position too so interpolation does not streak across the screen.
+        body.previousPosition.x += wx - p.x;
+        body.previousPosition.y += wy - p.y;
+        p.x = wx;
+        p.y = wy;
+        return;
+      }
+      const r = body.shape.radius || 0;
+      if (mode === BoundsMode.DESTROY) {
+        if (p.x + r < x || p.x - r > x + width || p.y + r < y || p.y - r > y + height) exited.push(body);
+        return;
       }
+      const bounce = mode === BoundsMode.BOUNCE ? -body.restitution : 0;
+      if (p.x - r < x) { p.x = x + r; if (body.velocity.x < 0) body.velocity.x *= bounce; }
+      else if (p.x + r > x + width) { p.x = x + width - r; if (body.velocity.x > 0) body.velocity.x *= bounce; }
+      if (p.y - r < y) { p.y = y + r; if (body.velocity.y < 0) body.velocity.y *= bounce; }
+      else if (p.y + r > y + height) { p.y = y + height - r; if (body.velocity.y > 0) body.velocity.y *= bounce; }
+    });
+    exited.forEach(body => {
+      this.removeBody(body);
+      this._emitter.emit('BodyExited', { body, userData: body.userData });
+    });
+  }
+  // Offset to add to point b so it is the copy nearest point a across wrapped edges, or null.
+  _wrapOffset(a, b) {
+    if (!this.bounds || this.bounds.mode !== BoundsMode.WRAP) return null;
+    const { width, height } = this.bounds;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const ox = dx > width / 2 ? -width : dx < -width / 2 ? width : 0;
+    const oy = dy > height / 2 ? -height : dy < -height / 2 ? height : 0;
+    return ox || oy ? new Vec2(ox, oy) : null;
+  }
+  _updateTriggers() {
+    this.triggers.forEach((pair, key) => {
+      if (this._touching.has(key)) return;
+      this.triggers.delete(key);
+      this._emitTrigger('TriggerExit', pair);
+    });
+    this._touching.forEach((pair, key) => {
+      if (this.triggers.has(key)) return;
+      this.triggers.set(key, pair);
+      this._emitTrigger('TriggerEnter', pair);
+    });
+  }
+  _emitTrigger(type, { sensor, other }) {
+    this._emitter.emit(type, { sensor, other, userData: sensor.userData, otherUserData: other.userData });
+  }
+  // Contact from A towards B, or null. In wrap mode B is tested at its nearest
+  // wrapped copy, whose position is returned as contact.posB.
+  _detect(A, B) {
+    const contact = this._detectShapes(A, B);
+    if (contact) contact.posB = contact.posB || B.position;
+    return contact;
+  }
+  _detectShapes(A, B) {
+    const offset = this._wrapOffset(A.position, B.position);
+    const posB = offset ? Vec2.add(B.position, offset) : B.position;
+    const polyA = A.shape.type === 'polygon';
+    const polyB = B.shape.type === 'polygon';
+    const verticesB = polyB ? (offset ? offsetVertices(B.getWorldVertices(), offset) : B.getWorldVertices()) : null;
+    let contact;
+    if (!polyA && !polyB) {
+      contact = collideCircles(A.position, A.shape.radius, posB, B.shape.radius);
+    } else if (polyA && polyB) {
+      contact = collidePolygons(A.getWorldVertices(), A.position, verticesB, posB);
+    } else if (polyA) {
+      contact = collidePolygonCircle(A.getWorldVertices(), A.position, posB, B.shape.radius);
+    } else {
+      contact = collidePolygonCircle(verticesB, posB, A.position, A.shape.radius);
+      if (contact) contact.normal = Vec2.scale(contact.normal, -1);
     }
+    if (contact && offset) contact.posB = posB;
+    return contact;
+  }
+  /**
+   * Nearest body hit by a ray. Rays do not continue across wrapped edges.
+   * @param {{x: number, y: number}} origin
+   * @param {{x: number, y: number}} dir - Direction; normalized internally.
+   * @param {number} [maxDist=Infinity]
+   * @param {number} [mask=CollisionLayer.ALL] - Only bodies whose category is in the mask.
+   * @param {{includeSensors?: boolean, ignore?: Body}} [options]
+   * @returns {{body: Body, point: Vec2, normal: Vec2, distance: number}|null}
+   */
+  raycast(origin, dir, maxDist = Infinity, mask = CollisionLayer.ALL, options = {}) {
+    const o = new Vec2(origin.x, origin.y);
+    const d = new Vec2(dir.x, dir.y).normalize();
+    if (!d.x && !d.y) return null;
+    const layers = resolveLayers(mask, CollisionLayer.ALL);
+    let best = null;
+    this.bodies.forEach(body => {
+      if (!this._queryable(body, layers, options)) return;
+      const limit = best ? best.distance : maxDist;
+      const vertices = body.getWorldVertices();
+      const hit = vertices ? rayPolygon(o, d, limit, vertices) : rayCircle(o, d, limit, body.position, body.shape.radius);
+      if (hit && (!best || hit.distance < best.distance)) best = { body, distance: hit.distance, normal: hit.normal };
+    });
+    if (best) best.point = Vec2.add(o, Vec2.scale(d, best.distance));
+    return best;
+  }
+  /**
+   * Bodies whose shape overlaps the circle. Sees across wrapped edges.
+   * @returns {Body[]}
+   */
+  queryCircle(center, radius, mask = CollisionLayer.ALL, options = {}) {
+    const c = new Vec2(center.x, center.y);
+    const layers = resolveLayers(mask, CollisionLayer.ALL);
+    return this.bodies.filter(body => {
+      if (!this._queryable(body, layers, options)) return false;
+      const offset = this._wrapOffset(c, body.position);
+      const pos = offset ? Vec2.add(body.position, offset) : body.position;
+      const vertices = body.getWorldVertices();
+      if (!vertices) return !!collideCircles(c, radius, pos, body.shape.radius);
+      return !!collidePolygonCircle(offset ? offsetVertices(vertices, offset) : vertices, pos, c, radius);
+    });
+  }
+  /**
+   * Bodies whose shape overlaps the box. Sees across wrapped edges.
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} aabb
+   * @returns {Body[]}
+   */
+  queryAABB(aabb, mask = CollisionLayer.ALL, options = {}) {
+    const box = aabbVertices(aabb);
+    const center = new Vec2((aabb.minX + aabb.maxX) / 2, (aabb.minY + aabb.maxY) / 2);
+    const layers = resolveLayers(mask, CollisionLayer.ALL);
+    return this.bodies.filter(body => {
+      if (!this._queryable(body, layers, options)) return false;
+      const offset = this._wrapOffset(center, body.position);
+      const pos = offset ? Vec2.add(body.position, offset) : body.position;
+      const vertices = body.getWorldVertices();
+      if (!vertices) return !!collidePolygonCircle(box, center, pos, body.shape.radius);
+      return !!collidePolygons(box, center, offset ? offsetVertices(vertices, offset) : vertices, pos);
+    });
   }
-  _resolveCollision(A, B, normal, penetration) {
-    const invMassSum = (A.static ? 0 : A.invMass) + (B.static ? 0 : B.invMass);
-    if (invMassSum === 0) return;
+  _queryable(body, layers, { includeSensors = false, ignore = null }) {
+    if (body === ignore || (body.isSensor && !includeSensors)) return false;
+    return (body.category & layers) !== 0;
+  }
+  // rA and rB run from each body's centre to the contact point. Off-centre hits
+  // spin the bodies, and friction along the contact tangent adds to the spin.
+  // Returns the normal impulse applied, 0 when the bodies were already separating.
+  _resolveCollision(A, B, normal, penetration, rA = new Vec2(), rB = new Vec2()) {
+    const invMassA = A.static ? 0 : A.invMass;
+    const invMassB = B.static ? 0 : B.invMass;
+    const invMassSum = invMassA + invMassB;
+    if (invMassSum === 0) return 0;
     const percent = 0.2;
     const correction = Vec2.scale(normal, percent * (penetration / invMassSum));
-    if (!A.static) A.position.sub(Vec2.scale(correction, A.invMass));
-    if (!B.static) B.position.add(Vec2.scale(correction, B.invMass));
-    const relVel = Vec2.sub(B.velocity, A.velocity);
+    if (!A.static) A.position.sub(Vec2.scale(correction, invMassA));
+    if (!B.static) B.position.add(Vec2.scale(correction, invMassB));
+
+    const invInertiaA = A.static ? 0 : A.invInertia;
+    const invInertiaB = B.static ? 0 : B.invInertia;
+    const relVel = Vec2.sub(
+      Vec2.add(B.velocity, Vec2.crossScalar(B.angularVelocity, rB)),
+      Vec2.add(A.velocity, Vec2.crossScalar(A.angularVelocity, rA))
+    );
     const velAlongNormal = relVel.dot(normal);
-    if (velAlongNormal > 0) return;
+    if (velAlongNormal > 0) return 0;
+    const effectiveMass = dir => {
+      const ra = Vec2.cross(rA, dir);
+      const rb = Vec2.cross(rB, dir);
+      return invMassSum + ra * ra * invInertiaA + rb * rb * invInertiaB;
+    };
     const e = Math.min(A.restitution, B.restitution);
-    const j = -(1 + e) * velAlongNormal / invMassSum;
+    const j = -(1 + e) * velAlongNormal / effectiveMass(normal);
     const impulse = Vec2.scale(normal, j);
-    if (!A.static) A.velocity.sub(Vec2.scale(impulse, A.invMass));
-    if (!B.static) B.velocity.add(Vec2.scale(impulse, B.invMass));
+    A.applyImpulse(Vec2.scale(impulse, -1), rA);
+    B.applyImpulse(impulse, rB);
+
+    const tangent = Vec2.sub(relVel, Vec2.scale(normal, velAlongNormal));
+    if (tangent.length() < 1e-6) return j;
+    tangent.normalize();
+    const mu = Math.sqrt(A.friction * B.friction);
+    // Coulomb friction: the tangential impulse can never exceed mu times the normal one.
+    const jt = Math.max(-j * mu, Math.min(j * mu, -relVel.dot(tangent) / effectiveMass(tangent)));
+    const frictionImpulse = Vec2.scale(tangent, jt);
+    A.applyImpulse(Vec2.scale(frictionImpulse, -1), rA);
+    B.applyImpulse(frictionImpulse, rB);
+    return j;
   }
 }
 
-class PhysicsEngine extends EventTarget {
+class PhysicsEngine {
   constructor() {
-    super();
     this.world = null;
     this.running = false;
+    // When false the world only advances through step(), e.g. from the ECS physics phase.
+    this.autoStep = true;
     this._onTick = this._onTick.bind(this);
     this._onStart = this._onStart.bind(this);
     this._onPause = this._onPause.bind(this);
     this._onResume = this._onResume.bind(this);
   }
+  // The container is optional so the engine can run headless under Node.
   init(containerSelector) {
-    const container = document.querySelector(containerSelector);
-    if (!container) throw new Error(`PhysicsEngine: container ${containerSelector} not found`);
-    container.setAttribute('aria-live', 'polite');
-    this.container = container;
+    if (containerSelector) {
+      const container = document.querySelector(containerSelector);
+      if (!container) throw new Error(`PhysicsEngine: container ${containerSelector} not found`);
+      container.setAttribute('aria-live', 'polite');
+      this.container = container;
+    }
     this.world = new World(this);
     GameLoopManager.on('GameStart', this._onStart);
     GameLoopManager.on('GamePause', this._onPause);
     GameLoopManager.on('GameResume', this._onResume);
     GameLoopManager.on('GameOver', this._onPause);
-    GameLoopManager.on('tick', this._onTick);
-    this.dispatchEvent(new CustomEvent('PhysicsEngineReady'));
+    GameLoopManager.on('Tick', this._onTick);
+    this.emit('PhysicsEngineReady');
+  }
+  on(type, listener) {
+    return eventBus.on(`physics:${type}`, listener);
+  }
+  off(type, listener) {
+    eventBus.off(`physics:${type}`, listener);
+  }
+  emit(type, detail = {}) {
+    eventBus.emit(`physics:${type}`, detail);
   }
   _onStart() {
     this.running = true;
@@ -129,10 +891,19 @@ class PhysicsEngine extends EventTarget {
     this.running = true;
   }
   _onTick(e) {
-    if (!this.running) return;
-    const dt = e.detail && e.detail.delta != null ? e.detail.delta : 1 / 60;
+    if (!this.autoStep) return;
+    if (!this.running && !GameLoopManager.isStepping) return;
+    // Tick reports milliseconds; bodies integrate in seconds.
+    const dt = e.detail && e.detail.dt != null ? e.detail.dt / 1000 : 1 / 60;
     this.world.step(dt);
   }
+  setAutoStep(enabled) {
+    this.autoStep = !!enabled;
+  }
+  // Advance the world by dt seconds.
+  step(dt) {
+    if (this.world) this.world.step(dt);
+  }
   addBody(options) {
     const body = new Body(options);
     this.world.addBody(body);
@@ -142,13 +913,30 @@ class PhysicsEngine extends EventTarget {
     this.world.removeBody(body);
   }
   clear() {
-    if (this.world) this.world.bodies = [];
+    if (this.world) this.world.clear();
   }
   getBodies() {
     return this.world ? this.world.bodies : [];
   }
+  setBounds(bounds) {
+    if (this.world) this.world.setBounds(bounds);
+  }
+  raycast(origin, dir, maxDist, mask, options) {
+    return this.world ? this.world.raycast(origin, dir, maxDist, mask, options) : null;
+  }
+  queryCircle(center, radius, mask, options) {
+    return this.world ? this.world.queryCircle(center, radius, mask, options) : [];
+  }
+  queryAABB(aabb, mask, options) {
+    return this.world ? this.world.queryAABB(aabb, mask, options) : [];
+  }
+  // Broadphase numbers from the last step, for the debug overlay.
+  getStats() {
+    return this.world ? this.world.stats : null;
+  }
 }
 
 const physicsengine = new PhysicsEngine();
 
-export default physicsengine;
\ No newline at end of file
+export default physicsengine;
+export { Vec2, Body, World, SpatialHash, CollisionLayer, BoundsMode };
\ No newline at end of file
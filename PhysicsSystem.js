@@ -0,0 +1,215 @@
+import physicsengine from './PhysicsEngine.js';
+import {
+  eventBus,
+  Component,
+  Transform,
+  Velocity,
+  registerComponent,
+  entityManager,
+  registerOnGameStart,
+  System,
+  SystemPhase
+} from './EntitySystem.js';
+
+/**
+ * Bridges EntitySystem entities and PhysicsEngine bodies.
+ *
+ * Every entity with Transform and PhysicsBody gets a Body while it has both.
+ * In the physics phase the sync system pushes Transform (and Velocity, if
+ * present) into the body, steps the world, then copies the result back, so
+ * gameplay systems only ever touch components. The engine's own Tick stepping
+ * is switched off while the system is registered.
+ *
+ * Events:
+ *   ecs:Collision (CustomEvent): Re-emitted physics:Collision between bodies owned by entities.
+ *     detail.entityA, detail.entityB: Entity|null - null when that body has no entity
+ *     detail.idA, detail.idB: number|null - entity ids
+ *     detail.normal, detail.penetration, detail.point, detail.impulse: as on physics:Collision
+ *   ecs:TriggerEnter, ecs:TriggerExit (CustomEvent): Re-emitted sensor overlaps.
+ *     detail.sensor, detail.other: Entity|null
+ *     detail.sensorId, detail.otherId: number|null
+ */
+eventBus.defineTopic('ecs:Collision', { idA: 'any', idB: 'any', normal: 'object', penetration: 'number' });
+eventBus.defineTopic('ecs:TriggerEnter', { sensorId: 'any', otherId: 'any' });
+eventBus.defineTopic('ecs:TriggerExit', { sensorId: 'any', otherId: 'any' });
+
+// Body options as data; see Body in PhysicsEngine for the meaning of each field.
+// The live Body is kept in `body` and is never serialized.
+class PhysicsBody extends Component {
+  constructor(options = {}) {
+    super();
+    this.shape = options.shape || { type: 'circle', radius: 1 };
+    this.mass = options.mass != null ? options.mass : 1;
+    this.restitution = options.restitution != null ? options.restitution : 0.9;
+    this.friction = options.friction != null ? options.friction : 0.1;
+    this.linearDamping = options.linearDamping || 0;
+    this.angularDamping = options.angularDamping || 0;
+    this.maxSpeed = options.maxSpeed || 0;
+    this.category = options.category != null ? options.category : null;
+    this.mask = options.mask != null ? options.mask : null;
+    this.isSensor = options.isSensor || false;
+    this.bullet = options.bullet || false;
+    this.static = options.static || false;
+    this.userData = options.userData || {};
+    this.body = null;
+  }
+  static serialize(component) {
+    const { body, ...data } = component;
+    return JSON.parse(JSON.stringify(data));
+  }
+  static deserialize(data) {
+    return new PhysicsBody(data);
+  }
+}
+
+registerComponent('PhysicsBody', PhysicsBody);
+
+// Entity behind a body, or null for bodies created outside the ECS.
+function entityOf(body) {
+  const handle = body && body.userData && body.userData.entity;
+  return handle ? entityManager.resolve(handle) : null;
+}
+
+class PhysicsSyncSystem extends System {
+  constructor() {
+    super([Transform, PhysicsBody], { phase: SystemPhase.PHYSICS });
+    this._unsubscribe = [];
+    this._onCollision = this._onCollision.bind(this);
+    this._onTriggerEnter = e => this._onTrigger('ecs:TriggerEnter', e.detail);
+    this._onTriggerExit = e => this._onTrigger('ecs:TriggerExit', e.detail);
+    this._onBodyExited = this._onBodyExited.bind(this);
+  }
+
+  init() {
+    if (!physicsengine.world) physicsengine.init();
+    physicsengine.setAutoStep(false);
+    this._unsubscribe = [
+      this.query.onAdded(entity => this._createBody(entity)),
+      this.query.onRemoved(entity => this._removeBody(entity)),
+      physicsengine.on('Collision', this._onCollision),
+      physicsengine.on('TriggerEnter', this._onTriggerEnter),
+      physicsengine.on('TriggerExit', this._onTriggerExit),
+      physicsengine.on('BodyExited', this._onBodyExited)
+    ];
+    this.query.toArray().forEach(entity => this._createBody(entity));
+  }
+
+  update(dt, entities) {
+    entities.forEach(entity => {
+      const body = entity.getComponent(PhysicsBody).body;
+      const transform = entity.getComponent(Transform);
+      const velocity = entity.getComponent(Velocity);
+      if (!body) return;
+      body.position.x = transform.x;
+      body.position.y = transform.y;
+      body.angle = transform.angle;
+      if (velocity) {
+        body.velocity.x = velocity.x;
+        body.velocity.y = velocity.y;
+        body.angularVelocity = velocity.angular;
+      }
+    });
+
+    // Tick dt is in milliseconds; the world integrates in seconds.
+    physicsengine.step(dt / 1000);
+
+    entities.forEach(entity => {
+      const body = entity.getComponent(PhysicsBody).body;
+      if (!body || !entityManager.isAlive(entity)) return;
+      const transform = entity.getComponent(Transform);
+      const velocity = entity.getComponent(Velocity);
+      transform.x = body.position.x;
+      transform.y = body.position.y;
+      transform.angle = body.angle;
+      if (velocity) {
+        velocity.x = body.velocity.x;
+        velocity.y = body.velocity.y;
+        velocity.angular = body.angularVelocity;
+      }
+    });
+  }
+
+  teardown() {
+    this._unsubscribe.forEach(fn => fn());
+    this._unsubscribe = [];
+    if (this.query) this.query.toArray().forEach(entity => this._removeBody(entity));
+    physicsengine.setAutoStep(true);
+  }
+
+  _createBody(entity) {
+    const physicsBody = entity.getComponent(PhysicsBody);
+    if (physicsBody.body || !physicsengine.world) return;
+    const transform = entity.getComponent(Transform);
+    const velocity = entity.getComponent(Velocity);
+    const { body, userData, maxSpeed, category, mask, ...options } = physicsBody;
+    physicsBody.body = physicsengine.addBody({
+      ...options,
+      maxSpeed: maxSpeed || undefined,
+      category: category != null ? category : undefined,
+      mask: mask != null ? mask : undefined,
+      position: { x: transform.x, y: transform.y },
+      angle: transform.angle,
+      velocity: velocity ? { x: velocity.x, y: velocity.y } : undefined,
+      angularVelocity: velocity ? velocity.angular : 0,
+      userData: { ...userData, entity: entity.handle() }
+    });
+  }
+
+  _removeBody(entity) {
+    const physicsBody = entity.getComponent(PhysicsBody);
+    // onRemoved also fires after PhysicsBody itself was removed; the component is then gone.
+    const body = physicsBody ? physicsBody.body : this._findBody(entity);
+    if (!body) return;
+    physicsengine.removeBody(body);
+    if (physicsBody) physicsBody.body = null;
+  }
+
+  _findBody(entity) {
+    return physicsengine.getBodies().find(b => {
+      const handle = b.userData.entity;
+      return handle && handle.id === entity.id && handle.generation === entity.generation;
+    });
+  }
+
+  _onCollision(e) {
+    const { bodyA, bodyB, normal, penetration, point, impulse } = e.detail;
+    const entityA = entityOf(bodyA);
+    const entityB = entityOf(bodyB);
+    if (!entityA && !entityB) return;
+    eventBus.emit('ecs:Collision', {
+      entityA,
+      entityB,
+      idA: entityA ? entityA.id : null,
+      idB: entityB ? entityB.id : null,
+      normal,
+      penetration,
+      point,
+      impulse
+    });
+  }
+
+  _onTrigger(topic, { sensor, other }) {
+    const sensorEntity = entityOf(sensor);
+    const otherEntity = entityOf(other);
+    if (!sensorEntity && !otherEntity) return;
+    eventBus.emit(topic, {
+      sensor: sensorEntity,
+      other: otherEntity,
+      sensorId: sensorEntity ? sensorEntity.id : null,
+      otherId: otherEntity ? otherEntity.id : null
+    });
+  }
+
+  // Bodies leaving a 'destroy' world bound take their entity with them.
+  _onBodyExited(e) {
+    const entity = entityOf(e.detail.body);
+    if (entity) entityManager.commands.destroyEntity(entity);
+  }
+}
+
+const physicsSyncSystem = new PhysicsSyncSystem();
+
+const init = registerOnGameStart(physicsSyncSystem);
+
+export default physicsSyncSystem;
+export { PhysicsBody, PhysicsSyncSystem, init };
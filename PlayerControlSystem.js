@@ -0,0 +1,212 @@
+import inputmanager from './InputManager.js';
+import camera from './Camera.js';
+import {
+  eventBus,
+  Component,
+  Transform,
+  Velocity,
+  componentRegistry,
+  registerComponent,
+  entityManager,
+  registerOnGameStart,
+  System,
+  SystemPhase
+} from './EntitySystem.js';
+
+/**
+ * Flies the player's ship from InputManager's action state.
+ *
+ * PlayerControlSystem runs in the input phase of every fixed Tick, before
+ * physics, and reads inputmanager.actionState, so keys, gamepad and touch
+ * swipes all steer the ship the same way. Presses that start and end between
+ * two Ticks (a quick key tap, a touch tap) still fire one shot. Turning
+ * rotates the Transform at exactly turnRate (body damping does not slow it)
+ * and thrust goes into the Velocity component, or straight into the physics
+ * body when the entity has none.
+ *
+ * spawnPlayerShip() puts the player's ship from the 'ship' blueprint in the
+ * middle of the playfield, facing up; Main calls it once GameStart has
+ * registered the systems, so the ship gets its physics body. Bullets are spawned from
+ * PlayerControl.bulletBlueprint and carry a Projectile, which removes them
+ * when their lifetime runs out.
+ *
+ * Events:
+ *   ecs:PlayerFired (CustomEvent): A controlled entity fired.
+ *     detail.entity: Entity - the shooter
+ *     detail.id: number - shooter entity id
+ *     detail.bullet: Entity - the bullet; it joins queries when commands flush
+ */
+eventBus.defineTopic('ecs:PlayerFired', { entity: 'object', id: 'number', bullet: 'object' });
+
+const PLAYER_BLUEPRINT = 'ship';
+
+// Angle 0 faces +x, as for Body.applyThrust.
+class PlayerControl extends Component {
+  constructor(options = {}) {
+    super();
+    this.turnRate = options.turnRate != null ? options.turnRate : 4.5;          // rad/s
+    this.thrust = options.thrust != null ? options.thrust : 260;                // units/s²
+    this.maxSpeed = options.maxSpeed != null ? options.maxSpeed : 420;          // units/s, 0 for no limit
+    this.fireRate = options.fireRate != null ? options.fireRate : 5;            // shots/s
+    this.bulletSpeed = options.bulletSpeed != null ? options.bulletSpeed : 520; // units/s, added to the ship's
+    this.bulletBlueprint = options.bulletBlueprint || 'bullet';
+    this.muzzleOffset = options.muzzleOffset != null ? options.muzzleOffset : 14;
+    this.enabled = options.enabled != null ? options.enabled : true;
+    this.cooldown = options.cooldown || 0;   // ms until the next shot
+    this.thrusting = options.thrusting || false;
+  }
+  static deserialize(data) {
+    return new PlayerControl(data);
+  }
+}
+
+registerComponent('PlayerControl', PlayerControl);
+
+// Anything fired by a PlayerControl. owner is the shooter's handle.
+class Projectile extends Component {
+  constructor(options = {}) {
+    super();
+    this.lifetime = options.lifetime != null ? options.lifetime : 1000;   // ms
+    this.age = options.age || 0;
+    this.owner = options.owner || null;
+  }
+  static deserialize(data) {
+    return new Projectile(data);
+  }
+}
+
+registerComponent('Projectile', Projectile);
+
+class PlayerControlSystem extends System {
+  constructor() {
+    super([PlayerControl, Transform], { phase: SystemPhase.INPUT });
+    this._shotQueued = false;
+    this._onInput = this._onInput.bind(this);
+  }
+
+  init() {
+    eventBus.on('input:InputEvent', this._onInput);
+  }
+
+  update(dt, entities) {
+    const actions = inputmanager.actionState;
+    const turn = (actions.rotateRight ? 1 : 0) - (actions.rotateLeft ? 1 : 0);
+    const thrusting = !!actions.moveForward;
+    const shooting = !!actions.shoot || this._shotQueued;
+    this._shotQueued = false;
+    const seconds = dt / 1000;
+    entities.forEach(entity => {
+      const control = entity.getComponent(PlayerControl);
+      control.cooldown = Math.max(0, control.cooldown - dt);
+      if (!control.enabled) {
+        control.thrusting = false;
+        return;
+      }
+      const motion = this._getMotion(entity);
+      if (!motion) return;
+      const transform = entity.getComponent(Transform);
+      if (turn) {
+        transform.angle += turn * control.turnRate * seconds;
+        motion.setAngular(0);
+      }
+      const angle = transform.angle;
+      control.thrusting = thrusting;
+      if (thrusting) {
+        const v = motion.velocity;
+        v.x += Math.cos(angle) * control.thrust * seconds;
+        v.y += Math.sin(angle) * control.thrust * seconds;
+        const speed = Math.hypot(v.x, v.y);
+        if (control.maxSpeed > 0 && speed > control.maxSpeed) {
+          v.x *= control.maxSpeed / speed;
+          v.y *= control.maxSpeed / speed;
+        }
+      }
+      if (shooting && control.cooldown <= 0 && control.fireRate > 0) {
+        this._fire(entity, control, motion.velocity);
+        control.cooldown = 1000 / control.fireRate;
+      }
+    });
+  }
+
+  teardown() {
+    eventBus.off('input:InputEvent', this._onInput);
+    this._shotQueued = false;
+  }
+
+  // Velocity component when there is one (PhysicsSyncSystem pushes it into
+  // the body), else the live body itself.
+  _getMotion(entity) {
+    const velocity = entity.getComponent(Velocity);
+    if (velocity) {
+      return { velocity, setAngular: w => { velocity.angular = w; } };
+    }
+    const PhysicsBody = componentRegistry.getClass('PhysicsBody');
+    const physicsBody = PhysicsBody && entity.getComponent(PhysicsBody);
+    const body = physicsBody && physicsBody.body;
+    if (!body) return null;
+    return { velocity: body.velocity, setAngular: w => { body.angularVelocity = w; } };
+  }
+
+  _fire(entity, control, velocity) {
+    const transform = entity.getComponent(Transform);
+    const cos = Math.cos(transform.angle);
+    const sin = Math.sin(transform.angle);
+    const bullet = entityManager.spawn(control.bulletBlueprint, {
+      Transform: {
+        x: transform.x + cos * control.muzzleOffset,
+        y: transform.y + sin * control.muzzleOffset,
+        angle: transform.angle
+      },
+      Velocity: {
+        x: velocity.x + cos * control.bulletSpeed,
+        y: velocity.y + sin * control.bulletSpeed,
+        angular: 0
+      },
+      Projectile: { owner: entity.handle() }
+    }, { deferred: true });
+    if (bullet) eventBus.emit('ecs:PlayerFired', { entity, id: entity.id, bullet });
+  }
+
+  // Taps can begin and end between two Ticks; remember that they happened.
+  _onInput(e) {
+    const { type, action, value } = e.detail;
+    if (type === 'action' && action === 'shoot' && value) this._shotQueued = true;
+  }
+}
+
+class ProjectileSystem extends System {
+  constructor() {
+    super([Projectile], { phase: SystemPhase.POST_PHYSICS });
+  }
+
+  update(dt, entities) {
+    entities.forEach(entity => {
+      const projectile = entity.getComponent(Projectile);
+      projectile.age += dt;
+      if (projectile.age >= projectile.lifetime) this.commands.destroyEntity(entity);
+    });
+  }
+}
+
+const playerControlSystem = new PlayerControlSystem();
+const projectileSystem = new ProjectileSystem();
+
+const init = registerOnGameStart(playerControlSystem, projectileSystem);
+
+/**
+ * Spawn the player's ship unless the world already has one (e.g. a restored run).
+ * Throws when the blueprint cannot be spawned: a run without a ship is unplayable.
+ * @returns {Entity} The player's ship.
+ */
+function spawnPlayerShip() {
+  const existing = entityManager.query({ all: [PlayerControl] }).toArray()[0];
+  if (existing) return existing;
+  const ship = entityManager.spawn(PLAYER_BLUEPRINT, {
+    Transform: { x: camera.width / 2, y: camera.height / 2, angle: -Math.PI / 2 }
+  });
+  if (!ship) throw new Error(`PlayerControlSystem: could not spawn the player ship from blueprint "${PLAYER_BLUEPRINT}"`);
+  return ship;
+}
+
+export default playerControlSystem;
+export { PlayerControl, Projectile, PlayerControlSystem, ProjectileSystem, PLAYER_BLUEPRINT, spawnPlayerShip, init };
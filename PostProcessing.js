@@ -0,0 +1,315 @@
+import { eventBus } from './EventBus.js';
+import settingsmanager from './SettingsManager.js';
+import renderSystem from './RenderSystem.js';
+import camera from './Camera.js';
+
+/**
+ * CRT-style post-processing of the finished game canvas.
+ *
+ * Passes, in the order they run, each toggled by a graphics.* setting:
+ *   persistence         - phosphor ghosting: the previous frames fade out behind moving lines
+ *   glow                - blurred, additive copy of the frame so vector lines bloom
+ *   chromaticAberration - red and blue channels shifted sideways
+ *   scanlines           - dark horizontal lines
+ *   vignette            - darkened playfield corners
+ *
+ * Settings apply live through SettingsManager's 'change' handler.
+ * graphics.quality picks the pipeline: 'high' runs every enabled pass on the
+ * canvas, 'low' replaces scanlines and vignette with a CSS overlay on top of
+ * the canvas and drops the other passes, and 'auto' starts high unless the
+ * device looks low-end, then drops to low if frames stay slow.
+ *
+ * Events:
+ *   render:PostProcessingQualityChanged (CustomEvent): 'auto' quality dropped to the low pipeline.
+ *     detail.quality: string - the graphics.quality setting, still 'auto'
+ *     detail.lowEnd: boolean - whether the low pipeline is now in use
+ *     detail.averageFrameMs: number - average frame time that triggered the switch
+ */
+eventBus.defineTopic('render:PostProcessingQualityChanged', { quality: 'string', lowEnd: 'boolean', averageFrameMs: 'number' });
+
+const PASS_SETTINGS = Object.freeze({
+  persistence: 'graphics.persistence',
+  glow: 'graphics.glow',
+  chromaticAberration: 'graphics.chromaticAberration',
+  scanlines: 'graphics.scanlines',
+  vignette: 'graphics.vignette'
+});
+
+// 'auto' quality gives up on the canvas passes when frames average this long.
+const SLOW_FRAME_MS = 24;
+const SLOW_FRAME_WINDOW = 90;
+// Frame deltas above this are tab switches or breakpoints, not slow frames.
+const MAX_SAMPLE_MS = 250;
+const GLOW_DOWNSCALE = 4;
+
+function isLowEndDevice() {
+  if (typeof navigator === 'undefined') return false;
+  return (navigator.hardwareConcurrency || 4) <= 2 || (navigator.deviceMemory || 4) <= 2;
+}
+
+class PostProcessing {
+  constructor() {
+    this.enabled = {
+      persistence: true,
+      glow: true,
+      chromaticAberration: false,
+      scanlines: true,
+      vignette: true
+    };
+    this.quality = 'auto';
+    this.lowEnd = false;
+    this.persistence = 0.55;       // share of the previous frame kept after 1/60 s
+    this.glowStrength = 0.6;
+    this.glowBlur = 3;             // px in the downscaled glow buffer
+    this.chromaticOffset = 1.5;    // CSS pixels
+    this.scanlineSpacing = 3;      // device pixels
+    this.scanlineAlpha = 0.22;
+    this.vignetteAlpha = 0.55;
+
+    this._buffers = {};
+    this._hasHistory = false;
+    this._scanlinePattern = null;
+    this._vignette = null;
+    this._vignetteKey = '';
+    this._overlay = null;
+    this._slowSamples = 0;
+    this._slowTotal = 0;
+    this._removePostProcessor = null;
+    this._process = this._process.bind(this);
+    this._onSettingChange = this._onSettingChange.bind(this);
+    this.applySettings = this.applySettings.bind(this);
+  }
+
+  init() {
+    settingsmanager.on('change', this._onSettingChange);
+    // Settings load after the assets; until then the defaults above apply.
+    eventBus.on('SettingsReady', this.applySettings);
+    if (!this._removePostProcessor) this._removePostProcessor = renderSystem.addPostProcessor(this._process);
+    this.applySettings();
+  }
+
+  destroy() {
+    settingsmanager.off('change', this._onSettingChange);
+    eventBus.off('SettingsReady', this.applySettings);
+    if (this._removePostProcessor) this._removePostProcessor();
+    this._removePostProcessor = null;
+    if (this._overlay) this._overlay.remove();
+    this._overlay = null;
+    this._release();
+  }
+
+  applySettings() {
+    for (const pass in PASS_SETTINGS) {
+      const value = settingsmanager.get(PASS_SETTINGS[pass]);
+      if (typeof value === 'boolean') this.enabled[pass] = value;
+    }
+    if (!this.enabled.persistence) this._hasHistory = false;
+    this.setQuality(settingsmanager.get('graphics.quality') || this.quality);
+  }
+
+  /** @param {string} quality - 'auto', 'high' or 'low'. */
+  setQuality(quality) {
+    this.quality = quality;
+    this.lowEnd = quality === 'low' || (quality === 'auto' && isLowEndDevice());
+    this._slowSamples = 0;
+    this._slowTotal = 0;
+    if (this.lowEnd) this._release();
+    this._updateOverlay();
+  }
+
+  _onSettingChange(key) {
+    if (key.startsWith('graphics.')) this.applySettings();
+  }
+
+  _process(ctx, canvas, delta) {
+    const w = canvas.width;
+    const h = canvas.height;
+    if (!w || !h) return;
+    if (this.lowEnd) {
+      this._placeOverlay(canvas);
+      return;
+    }
+    this._monitor(delta);
+    const dpr = renderSystem.dpr;
+    if (this.enabled.persistence) this._persistencePass(ctx, canvas, delta);
+    if (this.enabled.glow) this._glowPass(ctx, canvas);
+    if (this.enabled.chromaticAberration) this._chromaticPass(ctx, canvas, dpr);
+    if (this.enabled.scanlines) this._scanlinePass(ctx, w, h);
+    if (this.enabled.vignette) this._vignettePass(ctx, dpr);
+  }
+
+  // Keeps max(current, faded history): bright lines leave a trail, the background stays put.
+  _persistencePass(ctx, canvas, delta) {
+    const history = this._buffer('history', canvas.width, canvas.height);
+    if (this._hasHistory) {
+      ctx.globalCompositeOperation = 'lighten';
+      ctx.globalAlpha = Math.pow(this.persistence, (delta || 1000 / 60) / (1000 / 60));
+      ctx.drawImage(history, 0, 0);
+      ctx.globalAlpha = 1;
+      ctx.globalCompositeOperation = 'source-over';
+    }
+    const hctx = history.getContext('2d');
+    hctx.globalCompositeOperation = 'copy';
+    hctx.drawImage(canvas, 0, 0);
+    this._hasHistory = true;
+  }
+
+  // Blurring a quarter-size copy is far cheaper than blurring the frame, and the upscale softens it further.
+  _glowPass(ctx, canvas) {
+    const glow = this._buffer('glow', Math.ceil(canvas.width / GLOW_DOWNSCALE), Math.ceil(canvas.height / GLOW_DOWNSCALE));
+    const gctx = glow.getContext('2d');
+    gctx.globalCompositeOperation = 'copy';
+    if ('filter' in gctx) gctx.filter = `blur(${this.glowBlur}px)`;
+    gctx.drawImage(canvas, 0, 0, glow.width, glow.height);
+    if ('filter' in gctx) gctx.filter = 'none';
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalAlpha = this.glowStrength;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(glow, 0, 0, canvas.width, canvas.height);
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  // The frame is split into channels by multiplying with pure colours, then
+  // summed back with red and blue shifted in opposite directions.
+  _chromaticPass(ctx, canvas, dpr) {
+    const w = canvas.width;
+    const h = canvas.height;
+    const offset = Math.max(1, Math.round(this.chromaticOffset * dpr));
+    const frame = this._buffer('frame', w, h);
+    const channel = this._buffer('channel', w, h);
+    const fctx = frame.getContext('2d');
+    const cctx = channel.getContext('2d');
+    fctx.globalCompositeOperation = 'copy';
+    fctx.drawImage(canvas, 0, 0);
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = '#0f0';
+    ctx.fillRect(0, 0, w, h);
+    ctx.globalCompositeOperation = 'lighter';
+    [['#f00', -offset], ['#00f', offset]].forEach(([color, dx]) => {
+      cctx.globalCompositeOperation = 'copy';
+      cctx.drawImage(frame, 0, 0);
+      cctx.globalCompositeOperation = 'multiply';
+      cctx.fillStyle = color;
+      cctx.fillRect(0, 0, w, h);
+      ctx.drawImage(channel, dx, 0);
+    });
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  _scanlinePass(ctx, w, h) {
+    if (!this._scanlinePattern) {
+      const tile = document.createElement('canvas');
+      tile.width = 1;
+      tile.height = this.scanlineSpacing;
+      const tctx = tile.getContext('2d');
+      tctx.fillStyle = '#000';
+      tctx.fillRect(0, 0, 1, 1);
+      this._scanlinePattern = ctx.createPattern(tile, 'repeat');
+    }
+    ctx.globalAlpha = this.scanlineAlpha;
+    ctx.fillStyle = this._scanlinePattern;
+    ctx.fillRect(0, 0, w, h);
+    ctx.globalAlpha = 1;
+  }
+
+  // Centred on the letterboxed playfield rather than the whole canvas.
+  _vignettePass(ctx, dpr) {
+    const left = camera.offsetX * dpr;
+    const top = camera.offsetY * dpr;
+    const width = camera.width * camera.scale * dpr;
+    const height = camera.height * camera.scale * dpr;
+    const key = `${left}:${top}:${width}:${height}:${this.vignetteAlpha}`;
+    if (key !== this._vignetteKey) {
+      const cx = left + width / 2;
+      const cy = top + height / 2;
+      const outer = Math.hypot(width, height) / 2;
+      const gradient = ctx.createRadialGradient(cx, cy, outer * 0.55, cx, cy, outer);
+      gradient.addColorStop(0, 'rgba(0,0,0,0)');
+      gradient.addColorStop(1, `rgba(0,0,0,${this.vignetteAlpha})`);
+      this._vignette = gradient;
+      this._vignetteKey = key;
+    }
+    ctx.fillStyle = this._vignette;
+    ctx.fillRect(left, top, width, height);
+  }
+
+  _monitor(delta) {
+    if (this.quality !== 'auto' || !delta || delta > MAX_SAMPLE_MS) return;
+    this._slowSamples++;
+    this._slowTotal += delta;
+    if (this._slowSamples < SLOW_FRAME_WINDOW) return;
+    const average = this._slowTotal / this._slowSamples;
+    this._slowSamples = 0;
+    this._slowTotal = 0;
+    if (average > SLOW_FRAME_MS) {
+      this.lowEnd = true;
+      this._release();
+      this._updateOverlay();
+      eventBus.emit('render:PostProcessingQualityChanged', { quality: this.quality, lowEnd: true, averageFrameMs: average });
+    }
+  }
+
+  // Offscreen canvases are created on first use and follow the game canvas size.
+  _buffer(name, width, height) {
+    let canvas = this._buffers[name];
+    if (!canvas) {
+      canvas = document.createElement('canvas');
+      this._buffers[name] = canvas;
+    }
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+      if (name === 'history') this._hasHistory = false;
+    }
+    return canvas;
+  }
+
+  _release() {
+    this._buffers = {};
+    this._hasHistory = false;
+    this._scanlinePattern = null;
+    this._vignette = null;
+    this._vignetteKey = '';
+  }
+
+  // Low quality fallback: the browser composites a static CSS layer for free.
+  _updateOverlay() {
+    if (!this._overlay) return;
+    const layers = [];
+    if (this.enabled.scanlines) {
+      const a = this.scanlineAlpha;
+      layers.push(`repeating-linear-gradient(to bottom, rgba(0,0,0,${a}) 0, rgba(0,0,0,${a}) 1px, transparent 1px, transparent ${this.scanlineSpacing}px)`);
+    }
+    if (this.enabled.vignette) {
+      layers.push(`radial-gradient(ellipse at center, rgba(0,0,0,0) 55%, rgba(0,0,0,${this.vignetteAlpha}) 100%)`);
+    }
+    this._overlay.style.backgroundImage = layers.join(', ');
+    this._overlay.style.display = this.lowEnd && layers.length ? 'block' : 'none';
+  }
+
+  _placeOverlay(canvas) {
+    if (!this._overlay) {
+      const overlay = document.createElement('div');
+      overlay.id = 'crt-overlay';
+      overlay.style.position = 'absolute';
+      overlay.style.pointerEvents = 'none';
+      canvas.parentNode.insertBefore(overlay, canvas.nextSibling);
+      this._overlay = overlay;
+      this._updateOverlay();
+    }
+    const style = this._overlay.style;
+    const left = `${camera.offsetX}px`;
+    const top = `${camera.offsetY}px`;
+    const width = `${camera.width * camera.scale}px`;
+    const height = `${camera.height * camera.scale}px`;
+    if (style.left !== left) style.left = left;
+    if (style.top !== top) style.top = top;
+    if (style.width !== width) style.width = width;
+    if (style.height !== height) style.height = height;
+  }
+}
+
+const postProcessing = new PostProcessing();
+export default postProcessing;
+export { PostProcessing, PASS_SETTINGS };
@@ -1,5 +1,8 @@
 import GameLoopManager from './GameLoopManager.js';
 import storagemanager from './StorageManager.js';
+import physicsengine, { CollisionLayer } from './PhysicsEngine.js';
+
+const PICKUP_RADIUS = 12;
 
 const POWERUP_TYPES = {
   shield: { duration: 10000, strength: 1, cooldown: 0 },
@@ -13,15 +16,14 @@ class PowerUpManager {
     this.spawnQueue = [];
     this.active = new Map();
     this.nextId = 1;
+    this.pickups = new Map();
   }
 
   init() {
-    GameLoopManager.on('Frame', e => {
-      const dt = e.detail && e.detail.deltaTime != null ? e.detail.deltaTime : e;
-      this.update(dt);
-    });
+    GameLoopManager.on('Tick', e => this.update(e.detail.dt));
     GameLoopManager.on('GameStart', () => this.clearAll());
-    GameLoopManager.on('Collision', e => this.handleCollision(e));
+    // Pickups are sensor bodies that only the ship's layer can trigger.
+    GameLoopManager.on('physics:TriggerEnter', e => this.handleCollision(e.detail.userData));
     if (storagemanager.on) {
       storagemanager.on('StorageReady', () => this.restoreState());
     }
@@ -51,6 +53,7 @@ class PowerUpManager {
       active: false
     };
     this.spawnQueue.push(pu);
+    this.addPickup(pu);
     GameLoopManager.emit('PowerUpSpawned', { id, type, position: pu.position });
     storagemanager.commitAll();
     return id;
@@ -60,6 +63,7 @@ class PowerUpManager {
     let pu = this.spawnQueue.find(p => p.id === id);
     if (!pu) pu = this.active.get(id);
     if (!pu || pu.active) return;
+    this.removePickup(id);
     pu.active = true;
     pu.remaining = pu.duration;
     this.active.set(id, pu);
@@ -95,7 +99,29 @@ class PowerUpManager {
     });
   }
 
+  addPickup(pu) {
+    if (!physicsengine.world) return;
+    const body = physicsengine.addBody({
+      position: pu.position,
+      radius: PICKUP_RADIUS,
+      isSensor: true,
+      static: true,
+      category: CollisionLayer.POWERUP,
+      mask: CollisionLayer.SHIP,
+      userData: { puId: pu.id, type: pu.type }
+    });
+    this.pickups.set(pu.id, body);
+  }
+
+  removePickup(id) {
+    const body = this.pickups.get(id);
+    if (!body) return;
+    this.pickups.delete(id);
+    physicsengine.removeBody(body);
+  }
+
   clearAll() {
+    this.pickups.forEach((body, id) => this.removePickup(id));
     this.spawnQueue = [];
     this.active.clear();
   }
@@ -103,9 +129,11 @@ class PowerUpManager {
   restoreState() {
     const state = storagemanager.get('powerUps');
     if (!state) return;
+    this.pickups.forEach((body, id) => this.removePickup(id));
     this.spawnQueue = Array.isArray(state.spawnQueue) ? state.spawnQueue : [];
     this.active = new Map(Array.isArray(state.active) ? state.active : []);
     if (typeof state.nextId === 'number') this.nextId = state.nextId;
+    this.spawnQueue.forEach(pu => { if (!pu.active) this.addPickup(pu); });
   }
 }
 
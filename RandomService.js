@@ -0,0 +1,196 @@
+import gameloopmanager from './GameLoopManager.js';
+import storagemanager, { on as onStorageEvent } from './StorageManager.js';
+
+/**
+ * RandomService is the seeded source of randomness for gameplay. Use it
+ * instead of Math.random() so a run can be reproduced from its seed (bug
+ * reports, daily challenges, replays).
+ *
+ * Each subsystem draws from its own named stream, e.g. rng.stream('waves').
+ * Streams are derived from the run seed and the stream name, so adding draws
+ * to one stream never shifts the sequence another stream produces.
+ *
+ * The seed and stream states are saved whenever the game pauses and restored
+ * once storage is ready, so the next GameStart continues an interrupted run
+ * instead of reseeding. GameOver drops the saved state.
+ *
+ * Events:
+ *   RandomSeeded (CustomEvent): Fired when a run seed is applied.
+ *     detail.seed: number - the 32-bit run seed
+ */
+const STORAGE_KEY = 'rngState';
+
+// FNV-1a; turns seed + stream name into a 32-bit starting state.
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && isFinite(seed)) return seed >>> 0;
+  return hashString(String(seed));
+}
+
+function generateSeed() {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return (Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * A single mulberry32 sequence. Its whole state is one 32-bit integer.
+ */
+class RandomStream {
+  constructor(state) {
+    this.state = state >>> 0;
+  }
+
+  /** @returns {number} Float in [0, 1). */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** @returns {number} Float in [min, max). */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /** @returns {number} Integer in [min, max], both inclusive. */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  sign() {
+    return this.next() < 0.5 ? -1 : 1;
+  }
+
+  pick(list) {
+    return list.length ? list[Math.floor(this.next() * list.length)] : undefined;
+  }
+}
+
+class RandomService {
+  constructor() {
+    this.seed = generateSeed();
+    this.streams = new Map();
+    this.nextRunSeed = null;
+    this._resumed = false;
+    this._initialized = false;
+    this._onGameStart = this._onGameStart.bind(this);
+  }
+
+  // Main calls this on every startGame; subscribe only the first time.
+  init() {
+    if (this._initialized) return;
+    this._initialized = true;
+    gameloopmanager.on('GameStart', this._onGameStart);
+    gameloopmanager.on('GamePause', () => this.saveState());
+    gameloopmanager.on('GameOver', () => this.clearState());
+  }
+
+  /**
+   * Reseed every stream. Accepts a number or any string (e.g. a date for daily challenges).
+   * @param {number|string} seed
+   */
+  setSeed(seed) {
+    this.seed = normalizeSeed(seed);
+    this.streams.clear();
+    gameloopmanager.emit('RandomSeeded', { seed: this.seed });
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Seed to use for the next GameStart instead of a fresh random one.
+   * @param {number|string} seed
+   */
+  seedNextRun(seed) {
+    this.nextRunSeed = seed;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {RandomStream}
+   */
+  stream(name) {
+    let stream = this.streams.get(name);
+    if (!stream) {
+      stream = new RandomStream(hashString(`${this.seed}:${name}`));
+      this.streams.set(name, stream);
+    }
+    return stream;
+  }
+
+  /**
+   * @returns {{seed: number, streams: Object<string, number>}}
+   */
+  getState() {
+    const streams = {};
+    this.streams.forEach((stream, name) => { streams[name] = stream.state; });
+    return { seed: this.seed, streams };
+  }
+
+  setState(state) {
+    if (!state || typeof state.seed !== 'number') {
+      console.warn('RandomService: invalid state', state);
+      return;
+    }
+    this.setSeed(state.seed);
+    const streams = state.streams || {};
+    for (const name in streams) {
+      this.streams.set(name, new RandomStream(streams[name]));
+    }
+  }
+
+  saveState() {
+    storagemanager.setItem(STORAGE_KEY, this.getState());
+    storagemanager.commitAll();
+  }
+
+  /**
+   * Load the saved state; the next GameStart keeps it rather than reseeding.
+   * @returns {boolean} Whether there was a saved state.
+   */
+  restoreState() {
+    const state = storagemanager.getItem(STORAGE_KEY);
+    if (state) this.setState(state);
+    this._resumed = !!state;
+    return !!state;
+  }
+
+  clearState() {
+    this._resumed = false;
+    storagemanager.removeItem(STORAGE_KEY);
+    storagemanager.commitAll();
+  }
+
+  _onGameStart() {
+    const resumed = this._resumed && this.nextRunSeed == null;
+    this._resumed = false;
+    if (resumed) return;
+    const seed = this.nextRunSeed != null ? this.nextRunSeed : generateSeed();
+    this.nextRunSeed = null;
+    this.setSeed(seed);
+  }
+}
+
+const rng = new RandomService();
+// Storage syncs at startup, long before the first init(), so listen from load.
+onStorageEvent('StorageReady', () => rng.restoreState());
+export default rng;
+export { RandomService, RandomStream };
@@ -0,0 +1,334 @@
+import assetmanager, { SpriteAtlas } from './AssetManager.js';
+import camera from './Camera.js';
+import {
+  eventBus,
+  Component,
+  Transform,
+  componentRegistry,
+  registerComponent,
+  registerOnGameStart,
+  System,
+  SystemPhase
+} from './EntitySystem.js';
+
+/**
+ * Draws the game into a canvas inside #canvas-viewport.
+ *
+ * RenderSystem runs in the ECS render phase, which EntitySystem drives from
+ * GameLoopManager's render callbacks, so it draws once per frame (also while
+ * paused) with the interpolation alpha. Entities with a Renderable are drawn
+ * layer by layer; within a layer by Renderable.order, then entity id.
+ * Entities with a live physics body are drawn at their interpolated pose.
+ * Renderables without a Transform are drawn at the origin of their layer.
+ *
+ * Code outside the ECS (particles, HUD widgets) can draw into a layer with
+ * addDrawer(layer, fn); drawers run after that layer's entities.
+ * Post-processors added with addPostProcessor(fn) run last, on the finished
+ * frame, in device pixels.
+ *
+ * Everything is drawn through the Camera: the background, world and effects
+ * layers in world units with shake and zoom applied, the HUD layer in logical
+ * playfield units without them. The playfield is letterboxed inside the
+ * canvas, whose backing store is scaled by devicePixelRatio.
+ *
+ * Events:
+ *   render:Resize (CustomEvent): Fired when the canvas size or pixel ratio changes.
+ *     detail.width: number - CSS pixels
+ *     detail.height: number - CSS pixels
+ *     detail.dpr: number - device pixel ratio in use
+ */
+eventBus.defineTopic('render:Resize', { width: 'number', height: 'number', dpr: 'number' });
+
+const RenderLayer = Object.freeze({
+  BACKGROUND: 'background',
+  WORLD: 'world',
+  EFFECTS: 'effects',
+  HUD: 'hud'
+});
+const LAYER_ORDER = [RenderLayer.BACKGROUND, RenderLayer.WORLD, RenderLayer.EFFECTS, RenderLayer.HUD];
+
+// What to draw and where. kind selects the fields that apply:
+//   vector - points: [[x, y], ...] in local space, closed, stroke, fill, lineWidth
+//   sprite - image: image or atlas asset key, frameName: frame within an atlas,
+//            frame: optional {x, y, w, h} source rect, width, height
+//   text   - text, font, fill, align, baseline
+class Renderable extends Component {
+  constructor(options = {}) {
+    super();
+    this.kind = options.kind || 'vector';
+    this.layer = options.layer || RenderLayer.WORLD;
+    this.order = options.order || 0;
+    this.visible = options.visible != null ? options.visible : true;
+    this.alpha = options.alpha != null ? options.alpha : 1;
+    this.scale = options.scale != null ? options.scale : 1;
+    this.points = options.points || [];
+    this.closed = options.closed != null ? options.closed : true;
+    this.stroke = options.stroke || null;
+    this.fill = options.fill || null;
+    this.lineWidth = options.lineWidth || 1;
+    this.image = options.image || null;
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+    this.frame = options.frame || null;
+    this.frameName = options.frameName || null;
+    this.text = options.text != null ? String(options.text) : '';
+    this.font = options.font || '16px monospace';
+    this.align = options.align || 'center';
+    this.baseline = options.baseline || 'middle';
+  }
+  static deserialize(data) {
+    return new Renderable(data);
+  }
+}
+
+registerComponent('Renderable', Renderable);
+
+class RenderSystem extends System {
+  constructor() {
+    super({ all: [Renderable] }, { phase: SystemPhase.RENDER });
+    this.canvas = null;
+    this.ctx = null;
+    this.viewport = null;
+    this.width = 0;
+    this.height = 0;
+    this.dpr = 1;
+    this.clearColor = '#000';
+    this.letterboxColor = '#000';
+    this.drawers = new Map(LAYER_ORDER.map(layer => [layer, new Set()]));
+    this.postProcessors = new Set();
+    this._buckets = new Map(LAYER_ORDER.map(layer => [layer, []]));
+    this._pose = { x: 0, y: 0, angle: 0 };
+    this._interpolated = { x: 0, y: 0 };
+    this._resizeObserver = null;
+    this._onResize = this.resize.bind(this);
+  }
+
+  // Creates the canvas on first use; later GameStarts reuse it. Without a DOM it stays headless.
+  init() {
+    if (this.canvas || typeof document === 'undefined') return;
+    const viewport = document.getElementById('canvas-viewport');
+    if (!viewport) {
+      console.warn('RenderSystem: #canvas-viewport not found');
+      return;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.id = 'game-canvas';
+    canvas.style.position = 'absolute';
+    canvas.style.top = '0';
+    canvas.style.left = '0';
+    canvas.style.width = '100%';
+    canvas.style.height = '100%';
+    canvas.style.pointerEvents = 'none';
+    viewport.insertBefore(canvas, viewport.firstChild);
+    this.viewport = viewport;
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    if (typeof ResizeObserver !== 'undefined') {
+      this._resizeObserver = new ResizeObserver(this._onResize);
+      this._resizeObserver.observe(viewport);
+    }
+    window.addEventListener('resize', this._onResize, { passive: true });
+    this.resize();
+  }
+
+  resize() {
+    if (!this.canvas) return;
+    const width = this.viewport.clientWidth;
+    const height = this.viewport.clientHeight;
+    const dpr = window.devicePixelRatio || 1;
+    if (width === this.width && height === this.height && dpr === this.dpr) return;
+    this.width = width;
+    this.height = height;
+    this.dpr = dpr;
+    this.canvas.width = Math.round(width * dpr);
+    this.canvas.height = Math.round(height * dpr);
+    camera.resize(width, height);
+    eventBus.emit('render:Resize', { width, height, dpr });
+  }
+
+  /**
+   * Draw into a layer every frame after its entities.
+   * @param {string} layer - One of RenderLayer.
+   * @param {function(CanvasRenderingContext2D, number, number): void} fn - Called as fn(ctx, alpha, delta).
+   * @returns {Function} Removes the drawer.
+   */
+  addDrawer(layer, fn) {
+    const drawers = this.drawers.get(layer);
+    if (!drawers) {
+      console.warn(`RenderSystem: unknown layer "${layer}"`);
+      return () => {};
+    }
+    drawers.add(fn);
+    return () => drawers.delete(fn);
+  }
+
+  /**
+   * Process the finished frame. The context has an identity transform, so
+   * coordinates are backing-store pixels.
+   * @param {function(CanvasRenderingContext2D, HTMLCanvasElement, number): void} fn - Called as fn(ctx, canvas, delta).
+   * @returns {Function} Removes the post-processor.
+   */
+  addPostProcessor(fn) {
+    this.postProcessors.add(fn);
+    return () => this.postProcessors.delete(fn);
+  }
+
+  update(delta, entities, alpha = 1) {
+    const ctx = this.ctx;
+    if (!ctx) return;
+    this._buckets.forEach(bucket => { bucket.length = 0; });
+    entities.forEach(entity => {
+      const renderable = entity.getComponent(Renderable);
+      if (!renderable.visible) return;
+      const bucket = this._buckets.get(renderable.layer) || this._buckets.get(RenderLayer.WORLD);
+      bucket.push(entity);
+    });
+
+    ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = this.letterboxColor;
+    ctx.fillRect(0, 0, this.width, this.height);
+    camera.screenTransform(ctx, this.dpr);
+    ctx.fillStyle = this.clearColor;
+    ctx.fillRect(0, 0, camera.width, camera.height);
+
+    LAYER_ORDER.forEach(layer => {
+      const bucket = this._buckets.get(layer);
+      bucket.sort((a, b) => a.getComponent(Renderable).order - b.getComponent(Renderable).order || a.id - b.id);
+      ctx.save();
+      if (layer === RenderLayer.HUD) camera.screenTransform(ctx, this.dpr);
+      else camera.worldTransform(ctx, this.dpr);
+      camera.clip(ctx);
+      bucket.forEach(entity => this._drawEntity(ctx, entity, alpha));
+      this.drawers.get(layer).forEach(fn => {
+        ctx.save();
+        try { fn(ctx, alpha, delta); }
+        catch (e) { console.error(`RenderSystem: drawer for "${layer}" failed`, e); }
+        ctx.restore();
+      });
+      ctx.restore();
+    });
+
+    this.postProcessors.forEach(fn => {
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      try { fn(ctx, this.canvas, delta); }
+      catch (e) { console.error('RenderSystem: post-processor failed', e); }
+      ctx.restore();
+    });
+  }
+
+  teardown() {
+    if (this.ctx) {
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+  }
+
+  // Interpolated pose from the physics body when there is one, else the Transform.
+  _getPose(entity, alpha) {
+    const pose = this._pose;
+    const transform = entity.getComponent(Transform);
+    const PhysicsBody = componentRegistry.getClass('PhysicsBody');
+    const physicsBody = PhysicsBody && entity.getComponent(PhysicsBody);
+    const body = physicsBody && physicsBody.body;
+    if (body) {
+      body.getInterpolatedPosition(alpha, this._interpolated);
+      pose.x = this._interpolated.x;
+      pose.y = this._interpolated.y;
+      pose.angle = body.getInterpolatedAngle(alpha);
+    } else if (transform) {
+      pose.x = transform.x;
+      pose.y = transform.y;
+      pose.angle = transform.angle;
+    } else {
+      pose.x = 0;
+      pose.y = 0;
+      pose.angle = 0;
+    }
+    return pose;
+  }
+
+  _drawEntity(ctx, entity, alpha) {
+    const r = entity.getComponent(Renderable);
+    const { x, y, angle } = this._getPose(entity, alpha);
+    ctx.save();
+    ctx.translate(x, y);
+    if (angle) ctx.rotate(angle);
+    if (r.scale !== 1) ctx.scale(r.scale, r.scale);
+    ctx.globalAlpha = r.alpha;
+    if (r.kind === 'vector') this._drawVector(ctx, r);
+    else if (r.kind === 'sprite') this._drawSprite(ctx, r);
+    else if (r.kind === 'text') this._drawText(ctx, r);
+    ctx.restore();
+  }
+
+  _drawVector(ctx, r) {
+    const points = r.points;
+    if (points.length < 2) return;
+    ctx.beginPath();
+    ctx.moveTo(points[0][0], points[0][1]);
+    for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+    if (r.closed) ctx.closePath();
+    if (r.fill) {
+      ctx.fillStyle = r.fill;
+      ctx.fill();
+    }
+    if (r.stroke) {
+      ctx.strokeStyle = r.stroke;
+      ctx.lineWidth = r.lineWidth;
+      ctx.lineJoin = 'round';
+      ctx.stroke();
+    }
+  }
+
+  _drawSprite(ctx, r) {
+    const asset = r.image ? assetmanager.get(r.image) : null;
+    if (!asset) return;
+    if (asset instanceof SpriteAtlas) {
+      this._drawAtlasFrame(ctx, r, asset);
+      return;
+    }
+    const image = asset;
+    const f = r.frame;
+    const w = r.width || (f ? f.w : image.width);
+    const h = r.height || (f ? f.h : image.height);
+    if (f) ctx.drawImage(image, f.x, f.y, f.w, f.h, -w / 2, -h / 2, w, h);
+    else ctx.drawImage(image, -w / 2, -h / 2, w, h);
+  }
+
+  // Trimmed frames are placed inside their untrimmed size, so every frame of an
+  // animation shares the same centre. Frames packed rotated are stored 90
+  // degrees clockwise in the sheet.
+  _drawAtlasFrame(ctx, r, atlas) {
+    const f = atlas.getFrame(r.frameName);
+    if (!f) return;
+    const sx = r.width ? r.width / f.sourceW : 1;
+    const sy = r.height ? r.height / f.sourceH : 1;
+    if (sx !== 1 || sy !== 1) ctx.scale(sx, sy);
+    ctx.translate(-f.sourceW / 2 + f.offsetX, -f.sourceH / 2 + f.offsetY);
+    if (f.rotated) {
+      ctx.translate(0, f.h);
+      ctx.rotate(-Math.PI / 2);
+      ctx.drawImage(atlas.image, f.x, f.y, f.h, f.w, 0, 0, f.h, f.w);
+    } else {
+      ctx.drawImage(atlas.image, f.x, f.y, f.w, f.h, 0, 0, f.w, f.h);
+    }
+  }
+
+  _drawText(ctx, r) {
+    if (!r.text) return;
+    ctx.font = r.font;
+    ctx.textAlign = r.align;
+    ctx.textBaseline = r.baseline;
+    ctx.fillStyle = r.fill || r.stroke || '#fff';
+    ctx.fillText(r.text, 0, 0);
+  }
+}
+
+const renderSystem = new RenderSystem();
+
+const init = registerOnGameStart(renderSystem);
+
+export default renderSystem;
+export { Renderable, RenderLayer, RenderSystem, init };
@@ -8,6 +8,12 @@ class SettingsManager {
             'audio.musicVolume': { type: 'number', default: 1, validate: v => typeof v === 'number' && v >= 0 && v <= 1 },
             'audio.sfxVolume': { type: 'number', default: 1, validate: v => typeof v === 'number' && v >= 0 && v <= 1 },
             'audio.muted': { type: 'boolean', default: false },
+            'graphics.quality': { type: 'string', default: 'auto', validate: v => ['auto', 'high', 'low'].includes(v) },
+            'graphics.scanlines': { type: 'boolean', default: true },
+            'graphics.persistence': { type: 'boolean', default: true },
+            'graphics.glow': { type: 'boolean', default: true },
+            'graphics.chromaticAberration': { type: 'boolean', default: false },
+            'graphics.vignette': { type: 'boolean', default: true },
             'debugOverlay': { type: 'boolean', default: false },
             'adAppId': { type: 'string', default: '' },
             'iapProductIds': { type: 'object', default: [] }
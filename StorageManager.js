@@ -25,6 +25,7 @@ class StorageManager extends EventTarget {
     _detectSupport() {
         try {
             const testKey = '__storage_test';
+            if (typeof window === 'undefined') return false;
             window.localStorage.setItem(testKey, '1');
             window.localStorage.removeItem(testKey);
             return true;
@@ -184,9 +185,11 @@ function off(type, listener) {
     storagemanager.removeEventListener(type, listener);
 }
 
-document.addEventListener('DOMContentLoaded', () => {
-    storagemanager.sync();
-}, { once: true, passive: true });
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        storagemanager.sync();
+    }, { once: true, passive: true });
+}
 
 export default storagemanager;
 export { on, off };
\ No newline at end of file
@@ -1,4 +1,5 @@
-import './EventBus.js'
+import { eventBus } from './EventBus.js'
+import gameloopmanager from './GameLoopManager.js'
 
 class UIManager {
   constructor() {
@@ -11,6 +12,8 @@ class UIManager {
     this.loadingOverlay = null
     this._assetsReady = false
     this._storageReady = false
+    this._onLivesChanged = this._onLivesChanged.bind(this)
+    this._onScoreChanged = this._onScoreChanged.bind(this)
   }
 
   init() {
@@ -38,27 +41,28 @@ class UIManager {
         screen.classList.add('grid-container')
       }
     })
-    document.addEventListener('Navigate', e => {
+    eventBus.on('Navigate', e => {
       const id = e.detail && e.detail.screenId
       if (typeof id === 'string') this.show(id)
-    }, {passive:true})
-    document.addEventListener('GamePause', () => {
+    })
+    gameloopmanager.on('GamePause', () => {
       if (this.canvasViewport) this.canvasViewport.classList.add('is-paused')
       if (this.hudContainer) this.hudContainer.classList.add('is-paused')
-    }, {passive:true})
-    document.addEventListener('GameResume', () => {
+    })
+    gameloopmanager.on('GameResume', () => {
       if (this.canvasViewport) this.canvasViewport.classList.remove('is-paused')
       if (this.hudContainer) this.hudContainer.classList.remove('is-paused')
-    }, {passive:true})
-    document.addEventListener('AssetsReady', () => {
+    })
+    eventBus.on('AssetsReady', () => {
       this._assetsReady = true
       this._checkReady()
-    }, {passive:true})
-    document.addEventListener('StorageReady', () => {
+    })
+    eventBus.on('StorageReady', () => {
       this._storageReady = true
       this._checkReady()
-    }, {passive:true})
-    document.addEventListener('GameStart', () => this.initHUD(), {passive:true})
+    })
+    gameloopmanager.on('GameStart', () => this.initHUD())
+    gameloopmanager.on('GameOver', () => this.teardownHUD())
   }
 
   _checkReady() {
@@ -100,18 +104,28 @@ class UIManager {
       this.hudScoreEl.setAttribute('aria-live','polite')
       this.hudScoreEl.textContent = '0'
     }
-    document.addEventListener('LivesChanged', e => {
-      const v = e.detail && e.detail.lives
-      if (this.hudLivesEl && typeof v !== 'undefined') {
-        this.hudLivesEl.textContent = v
-      }
-    }, {passive:true})
-    document.addEventListener('ScoreChanged', e => {
-      const v = e.detail && e.detail.score
-      if (this.hudScoreEl && typeof v !== 'undefined') {
-        this.hudScoreEl.textContent = v
-      }
-    }, {passive:true})
+    eventBus.on('LivesChanged', this._onLivesChanged)
+    eventBus.on('ScoreChanged', this._onScoreChanged)
+  }
+
+  // initHUD runs on every GameStart; drop its subscriptions when the run ends.
+  teardownHUD() {
+    eventBus.off('LivesChanged', this._onLivesChanged)
+    eventBus.off('ScoreChanged', this._onScoreChanged)
+  }
+
+  _onLivesChanged(e) {
+    const v = e.detail && e.detail.lives
+    if (this.hudLivesEl && typeof v !== 'undefined') {
+      this.hudLivesEl.textContent = v
+    }
+  }
+
+  _onScoreChanged(e) {
+    const v = e.detail && e.detail.score
+    if (this.hudScoreEl && typeof v !== 'undefined') {
+      this.hudScoreEl.textContent = v
+    }
   }
 }
 
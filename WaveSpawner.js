@@ -1,4 +1,5 @@
 import gameloopmanager from './GameLoopManager.js';
+import rng from './RandomService.js';
 
 function isValidWave(w) {
     return w && typeof w === 'object'
@@ -25,6 +26,7 @@ class WaveSpawner {
         this.toSpawnAsteroids = 0;
         this.toSpawnEnemies = 0;
         this.paused = false;
+        this.initialized = false;
 
         this.update = this.update.bind(this);
         this._onGameStart = this.start.bind(this);
@@ -42,13 +44,16 @@ class WaveSpawner {
         this.customConfigs = wavesConfig.map(w => ({ ...w }));
     }
 
+    // Main calls init() on every startGame; only the first call subscribes.
     init() {
+        if (this.initialized) return;
+        this.initialized = true;
         gameloopmanager.registerUpdate(this.update);
-        document.addEventListener('GameStart', this._onGameStart, { passive: true });
-        document.addEventListener('GamePause', this._onGamePause, { passive: true });
-        document.addEventListener('GameResume', this._onGameResume, { passive: true });
-        document.addEventListener('GameOver', this._onGameOver, { passive: true });
-        document.dispatchEvent(new CustomEvent('WaveSpawnerReady'));
+        gameloopmanager.on('GameStart', this._onGameStart);
+        gameloopmanager.on('GamePause', this._onGamePause);
+        gameloopmanager.on('GameResume', this._onGameResume);
+        gameloopmanager.on('GameOver', this._onGameOver);
+        gameloopmanager.emit('WaveSpawnerReady');
     }
 
     start() {
@@ -66,11 +71,6 @@ class WaveSpawner {
     }
 
     abort() {
-        gameloopmanager.unregisterUpdate(this.update);
-        document.removeEventListener('GameStart', this._onGameStart);
-        document.removeEventListener('GamePause', this._onGamePause);
-        document.removeEventListener('GameResume', this._onGameResume);
-        document.removeEventListener('GameOver', this._onGameOver);
         this.currentWave = 0;
         this.waveConfig = null;
         this.spawnTimer = 0;
@@ -80,6 +80,16 @@ class WaveSpawner {
         this.paused = true;
     }
 
+    destroy() {
+        this.abort();
+        gameloopmanager.unregisterUpdate(this.update);
+        gameloopmanager.off('GameStart', this._onGameStart);
+        gameloopmanager.off('GamePause', this._onGamePause);
+        gameloopmanager.off('GameResume', this._onGameResume);
+        gameloopmanager.off('GameOver', this._onGameOver);
+        this.initialized = false;
+    }
+
     nextWave() {
         this.currentWave++;
         this.waveConfig = this.getConfig(this.currentWave);
@@ -88,7 +98,7 @@ class WaveSpawner {
         this.spawnTimer = 0;
         this.waveDelayTimer = this.waveConfig.waveDelay;
         if (this.waveDelayTimer <= 0) {
-            window.dispatchEvent(new CustomEvent('WaveSpawned', { detail: { wave: this.currentWave } }));
+            gameloopmanager.emit('WaveSpawned', { wave: this.currentWave });
         }
     }
 
@@ -105,12 +115,12 @@ class WaveSpawner {
     }
 
     update(dt) {
-        if (this.paused || !this.waveConfig) return;
+        if ((this.paused && !gameloopmanager.isStepping) || !this.waveConfig) return;
 
         if (this.waveDelayTimer > 0) {
             this.waveDelayTimer -= dt;
             if (this.waveDelayTimer <= 0) {
-                window.dispatchEvent(new CustomEvent('WaveSpawned', { detail: { wave: this.currentWave } }));
+                gameloopmanager.emit('WaveSpawned', { wave: this.currentWave });
                 this.spawnTimer = 0;
             }
             return;
@@ -130,16 +140,16 @@ class WaveSpawner {
                 this.spawnEnemy();
                 this.toSpawnEnemies--;
             }
-            this.spawnTimer = this.waveConfig.interval * (0.8 + Math.random() * 0.4);
+            this.spawnTimer = this.waveConfig.interval * rng.stream('waves').range(0.8, 1.2);
         }
     }
 
     spawnAsteroid() {
-        window.dispatchEvent(new CustomEvent('SpawnAsteroid', { detail: { wave: this.currentWave } }));
+        gameloopmanager.emit('SpawnAsteroid', { wave: this.currentWave });
     }
 
     spawnEnemy() {
-        window.dispatchEvent(new CustomEvent('SpawnEnemy', { detail: { wave: this.currentWave } }));
+        gameloopmanager.emit('SpawnEnemy', { wave: this.currentWave });
     }
 }
 
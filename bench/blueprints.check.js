@@ -0,0 +1,45 @@
+// Headless check that the shipped blueprints load through AssetManager the
+// way Main.js loads them and that every one of them spawns, with each
+// component it names registered.
+//
+// Run: node --experimental-default-type=module bench/blueprints.check.js
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import assetmanager from '../AssetManager.js';
+import gameloopmanager from '../GameLoopManager.js';
+import { blueprintRegistry, entityManager, componentRegistry } from '../EntitySystem.js';
+import '../PhysicsSystem.js';
+import '../RenderSystem.js';
+import '../AnimationSystem.js';
+import '../ParticleSystem.js';
+import { PlayerControl } from '../PlayerControlSystem.js';
+
+// No server here: serve the asset URLs from the checkout.
+globalThis.fetch = url => readFile(new URL(`../${url}`, import.meta.url))
+  .then(data => new Response(data), () => new Response(null, { status: 404 }));
+
+const warnings = [];
+console.warn = (...args) => warnings.push(args.join(' '));
+
+await assetmanager.loadAll({ blueprints: { url: 'blueprints.json', type: 'json' } });
+const names = Array.from(blueprintRegistry.definitions.keys());
+assert.ok(blueprintRegistry.has('ship') && blueprintRegistry.has('bullet'), 'ship and bullet blueprints load');
+
+gameloopmanager.useManualClock();
+gameloopmanager.start();
+names.forEach(name => {
+  const entity = entityManager.spawn(name);
+  assert.ok(entity, `"${name}" spawns`);
+  Object.keys(blueprintRegistry.resolve(name).components).forEach(compName => {
+    const CompClass = componentRegistry.getClass(compName);
+    assert.ok(CompClass && entity.getComponent(CompClass), `"${name}" gets its ${compName}`);
+  });
+});
+assert.deepEqual(warnings, [], 'spawning warns about nothing');
+
+const ship = entityManager.query({ all: [PlayerControl] }).toArray()[0];
+const PhysicsBody = componentRegistry.getClass('PhysicsBody');
+assert.ok(ship.getComponent(PhysicsBody).body, 'the ship gets a physics body');
+
+gameloopmanager.stop();
+console.log(`blueprint checks passed (${names.length} blueprints)`);
@@ -0,0 +1,46 @@
+// Cost of World.step with 500 bodies: the all-pairs sweep vs. the spatial hash.
+// Both worlds start from the same seeded layout; collision counts differ slightly
+// because pairs are resolved in a different order.
+//
+// Run: node --experimental-default-type=module bench/broadphase.bench.js
+import { Body, World } from '../PhysicsEngine.js';
+import { RandomStream } from '../RandomService.js';
+
+const BODY_COUNT = 500;
+const STEPS = 300;
+const WORLD_SIZE = 1600;
+const DT = 1 / 60;
+
+const emitter = { emit() {} };
+
+function buildWorld(options) {
+  const world = new World(emitter, options);
+  const random = new RandomStream(12345);
+  for (let i = 0; i < BODY_COUNT; i++) {
+    world.addBody(new Body({
+      position: { x: random.range(0, WORLD_SIZE), y: random.range(0, WORLD_SIZE) },
+      velocity: { x: random.range(-60, 60), y: random.range(-60, 60) },
+      radius: random.range(4, 24)
+    }));
+  }
+  return world;
+}
+
+function run(label, options) {
+  const world = buildWorld(options);
+  let pairs = 0;
+  let collisions = 0;
+  const start = performance.now();
+  for (let s = 0; s < STEPS; s++) {
+    world.step(DT);
+    pairs += world.stats.candidatePairs;
+    collisions += world.stats.collisions;
+  }
+  const elapsed = performance.now() - start;
+  console.log(`${label.padEnd(14)} ${(elapsed / STEPS * 1000).toFixed(2).padStart(9)} µs/step  ` +
+    `${Math.round(pairs / STEPS).toString().padStart(7)} pairs/step  (collisions ${collisions})`);
+}
+
+console.log(`${BODY_COUNT} bodies, ${STEPS} steps`);
+run('naive', { broadphase: 'naive' });
+run('spatial hash', { broadphase: 'spatialHash', cellSize: 64 });
@@ -0,0 +1,63 @@
+// Per-tick cost of system queries: cached archetype queries vs. the previous
+// approach of intersecting component Sets for every system on every tick.
+//
+// Run: node --experimental-default-type=module bench/ecs-queries.bench.js
+import { Component, entityManager } from '../EntitySystem.js';
+
+class Position extends Component {}
+class Velocity extends Component {}
+class Collider extends Component {}
+class Lifetime extends Component {}
+class Renderable extends Component {}
+
+const ENTITY_COUNT = 2000;
+const TICKS = 2000;
+const SYSTEM_FILTERS = [
+  [Position, Velocity],
+  [Position, Collider],
+  [Lifetime],
+  [Position, Renderable],
+  [Position, Velocity, Collider]
+];
+
+// Mirror of the former getEntitiesWithComponents, kept here for comparison.
+const componentIndex = new Map();
+function indexComponent(entity, CompClass) {
+  if (!componentIndex.has(CompClass)) componentIndex.set(CompClass, new Set());
+  componentIndex.get(CompClass).add(entity);
+}
+function legacyQuery(compClasses) {
+  const sets = compClasses.map(c => componentIndex.get(c) || new Set());
+  const smallest = sets.reduce((a, b) => a.size < b.size ? a : b);
+  const result = [];
+  smallest.forEach(entity => {
+    if (compClasses.every(c => entity.hasComponent(c))) result.push(entity);
+  });
+  return result;
+}
+
+for (let i = 0; i < ENTITY_COUNT; i++) {
+  const entity = entityManager.createEntity();
+  const comps = [Position, Renderable];
+  if (i % 2 === 0) comps.push(Velocity);
+  if (i % 3 === 0) comps.push(Collider);
+  if (i % 5 === 0) comps.push(Lifetime);
+  comps.forEach(C => {
+    entityManager.addComponent(entity, new C());
+    indexComponent(entity, C);
+  });
+}
+
+function run(label, queryFn) {
+  let checksum = 0;
+  const start = performance.now();
+  for (let t = 0; t < TICKS; t++) {
+    for (const filter of SYSTEM_FILTERS) checksum += queryFn(filter).length;
+  }
+  const elapsed = performance.now() - start;
+  console.log(`${label.padEnd(16)} ${(elapsed / TICKS * 1000).toFixed(2).padStart(9)} µs/tick  (checksum ${checksum})`);
+}
+
+console.log(`${ENTITY_COUNT} entities, ${SYSTEM_FILTERS.length} systems, ${TICKS} ticks`);
+run('intersect Sets', legacyQuery);
+run('cached queries', filter => entityManager.query({ all: filter }).toArray());
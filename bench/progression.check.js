@@ -0,0 +1,69 @@
+// Headless check that wave progression and power-up expiry can be asserted
+// tick by tick: drives WaveSpawner and PowerUpManager through the manual
+// clock and fails (non-zero exit) if an event arrives on the wrong tick.
+//
+// Run: node --experimental-default-type=module bench/progression.check.js
+import assert from 'node:assert/strict';
+import gameloopmanager from '../GameLoopManager.js';
+import rng from '../RandomService.js';
+import wavespawner from '../WaveSpawner.js';
+import powerupmanager from '../PowerUpManager.js';
+
+const WAVE_DELAY = 5000;
+const STEP = gameloopmanager.fixedStep;
+
+const events = [];
+['WaveSpawned', 'SpawnAsteroid', 'PowerUpApplied', 'PowerUpExpired'].forEach(type => {
+  gameloopmanager.on(type, e => events.push({ type, tick: gameloopmanager.tickCount, detail: e.detail }));
+});
+const ofType = type => events.filter(e => e.type === type);
+
+gameloopmanager.useManualClock();
+// Seeds are applied on GameStart, so RandomService subscribes before the spawner.
+rng.init();
+wavespawner.configure([
+  { asteroids: 3, enemies: 0, interval: 1000, waveDelay: 0 },
+  { asteroids: 2, enemies: 0, interval: 1000, waveDelay: WAVE_DELAY }
+]);
+wavespawner.init();
+powerupmanager.init();
+rng.seedNextRun(1234);
+gameloopmanager.start();
+
+// Wave 1 has no delay, so it starts with the run, before any tick.
+assert.deepEqual(ofType('WaveSpawned').map(e => [e.detail.wave, e.tick]), [[1, 0]]);
+
+// Three spawns at ~1s (0.8-1.2s) apart, then wave 2 after its delay.
+gameloopmanager.runTicks(Math.ceil((3 * 1200 + WAVE_DELAY) / STEP) + 2);
+const spawns = ofType('SpawnAsteroid').filter(e => e.detail.wave === 1);
+assert.equal(spawns.length, 3, 'wave 1 spawns every asteroid');
+const wave2 = ofType('WaveSpawned').find(e => e.detail.wave === 2);
+assert.ok(wave2, 'wave 2 starts');
+// One tick notices wave 1 is empty, then the delay counts down a tick at a time.
+const waitTicks = wave2.tick - spawns[2].tick;
+const expected = Math.ceil(WAVE_DELAY / STEP) + 1;
+assert.ok(waitTicks === expected || waitTicks === expected + 1,
+  `wave 2 waits its delay (${waitTicks} ticks, expected ~${expected})`);
+
+// The same seed must replay the same spawn ticks.
+const firstRun = spawns.map(e => e.tick);
+events.length = 0;
+gameloopmanager.stop();
+rng.seedNextRun(1234);
+gameloopmanager.start();
+gameloopmanager.runTicks(Math.ceil(3 * 1200 / STEP) + 2);
+assert.deepEqual(ofType('SpawnAsteroid').filter(e => e.detail.wave === 1).map(e => e.tick), firstRun,
+  'seeded runs spawn on the same ticks');
+
+// rapidFire lasts 5000 ms: still active one tick short of that, gone on the next.
+events.length = 0;
+const id = powerupmanager.spawn('rapidFire', { x: 0, y: 0 });
+powerupmanager.activate(id);
+const activeTicks = Math.ceil(powerupmanager.types.rapidFire.duration / STEP);
+gameloopmanager.runTicks(activeTicks - 1);
+assert.equal(ofType('PowerUpExpired').length, 0, 'power-up still active before its duration');
+gameloopmanager.runTicks(1);
+assert.deepEqual(ofType('PowerUpExpired').map(e => e.detail), [{ id, type: 'rapidFire' }]);
+
+gameloopmanager.stop();
+console.log('progression checks passed');